@@ -7,12 +7,44 @@ const authCache = {
   lastRefresh: 0,
   refreshInterval: 12 * 60 * 60 * 1000, // 12 hours in milliseconds
   authorizedUsers: new Map(), // userId -> { isGlobal: boolean, managedGroups: Set<groupId> }
-  refreshInProgress: false
+  refreshInProgress: false,
+  refreshDone: Promise.resolve(), // Settles when the running refresh ends
+  pendingStatusChanges: [] // Promotions and demotions received during a refresh, applied after it
 };
 
 // Will be set by initializeAuth()
 let botInstance = null;
 
+// Groups the bot works in: WHITELISTED_GROUP_IDS until bot.js applies the runtime enrollment
+let enrolledGroupIds = [...WHITELISTED_GROUP_IDS];
+
+/**
+ * Get the groups the bot is enrolled in
+ * @returns {number[]} Array of group IDs
+ */
+export function getEnrolledGroups() {
+  return [...enrolledGroupIds];
+}
+
+/**
+ * Check whether the bot is enrolled in a group
+ * @param {number} groupId - Group ID
+ * @returns {boolean} Whether the group is enrolled
+ */
+export function isGroupEnrolled(groupId) {
+  return enrolledGroupIds.includes(groupId);
+}
+
+/**
+ * Replace the enrolled groups (config groups plus those enrolled at runtime).
+ * Call refreshAuthCache() afterwards so group admins are picked up.
+ * @param {number[]} groupIds - Group IDs
+ */
+export function setEnrolledGroups(groupIds) {
+  enrolledGroupIds = [...new Set(groupIds)];
+  console.log(`[AUTH] Enrolled groups: ${enrolledGroupIds.join(', ') || 'none'}`);
+}
+
 /**
  * Initialize the auth system with bot instance
  * @param {Telegraf} bot - Bot instance
@@ -37,6 +69,9 @@ export async function refreshAuthCache() {
   }
 
   authCache.refreshInProgress = true;
+  authCache.pendingStatusChanges = [];
+  let finishRefresh;
+  authCache.refreshDone = new Promise(resolve => { finishRefresh = resolve; });
   console.log(`[AUTH_CACHE] Starting authorization cache refresh...`);
   
   try {
@@ -46,14 +81,14 @@ export async function refreshAuthCache() {
     for (const userId of WHITELISTED_USER_IDS) {
       newAuthorizedUsers.set(userId, {
         isGlobal: true,
-        managedGroups: new Set(WHITELISTED_GROUP_IDS),
+        managedGroups: new Set(enrolledGroupIds),
         lastVerified: Date.now()
       });
       console.log(`[AUTH_CACHE] Added global admin: ${userId}`);
     }
     
-    // Fetch group admins for each whitelisted group
-    for (const groupId of WHITELISTED_GROUP_IDS) {
+    // Fetch group admins for each enrolled group
+    for (const groupId of enrolledGroupIds) {
       try {
         console.log(`[AUTH_CACHE] Fetching admins for group ${groupId}...`);
         const admins = await botInstance.telegram.getChatAdministrators(groupId);
@@ -88,7 +123,10 @@ export async function refreshAuthCache() {
       }
     }
     
-    // Update the cache
+    // Update the cache. Status changes received meanwhile may be newer than the fetched admin lists.
+    for (const { userId, groupId, isAdmin } of authCache.pendingStatusChanges) {
+      applyGroupAdminStatus(newAuthorizedUsers, userId, groupId, isAdmin);
+    }
     authCache.authorizedUsers = newAuthorizedUsers;
     authCache.lastRefresh = Date.now();
     
@@ -110,6 +148,55 @@ export async function refreshAuthCache() {
     console.error(`[AUTH_CACHE] Error during cache refresh:`, error);
   } finally {
     authCache.refreshInProgress = false;
+    authCache.pendingStatusChanges = [];
+    finishRefresh();
+  }
+}
+
+/**
+ * Record an admin promotion or demotion (from a chat_member update) in the cache,
+ * so access changes immediately instead of at the next refresh
+ * @param {number} userId - User ID
+ * @param {number} groupId - Group ID
+ * @param {boolean} isAdmin - Whether the user is now an admin of the group
+ */
+export function setGroupAdminStatus(userId, groupId, isAdmin) {
+  if (!isGroupEnrolled(groupId)) return;
+  
+  applyGroupAdminStatus(authCache.authorizedUsers, userId, groupId, isAdmin);
+  // A running refresh replaces the map, so it applies the change again afterwards
+  if (authCache.refreshInProgress) {
+    authCache.pendingStatusChanges.push({ userId, groupId, isAdmin });
+  }
+  
+  console.log(`[AUTH_CACHE] User ${userId} ${isAdmin ? 'promoted to admin in' : 'no longer admin in'} group ${groupId}`);
+}
+
+/**
+ * Add or remove a group in a user's entry of an authorized users map
+ * @param {Map} authorizedUsers - userId -> { isGlobal, managedGroups, lastVerified }
+ * @param {number} userId - User ID
+ * @param {number} groupId - Group ID
+ * @param {boolean} isAdmin - Whether the user is now an admin of the group
+ */
+function applyGroupAdminStatus(authorizedUsers, userId, groupId, isAdmin) {
+  let userAuth = authorizedUsers.get(userId);
+  if (isAdmin) {
+    if (!userAuth) {
+      userAuth = {
+        isGlobal: WHITELISTED_USER_IDS.includes(userId),
+        managedGroups: new Set(),
+        lastVerified: Date.now()
+      };
+      authorizedUsers.set(userId, userAuth);
+    }
+    userAuth.managedGroups.add(groupId);
+    userAuth.lastVerified = Date.now();
+  } else if (userAuth) {
+    userAuth.managedGroups.delete(groupId);
+    if (!userAuth.isGlobal && userAuth.managedGroups.size === 0) {
+      authorizedUsers.delete(userId);
+    }
   }
 }
 
@@ -185,9 +272,9 @@ export async function isAuthorized(ctx, adminSessions = null) {
     return true;
     
   } else if (chatType === 'group' || chatType === 'supergroup') {
-    // Group chats: check if group is whitelisted first
-    if (!WHITELISTED_GROUP_IDS.includes(chatId)) {
-      console.log(`[AUTH] Group ${chatId} not whitelisted - denied`);
+    // Group chats: check if group is enrolled first
+    if (!isGroupEnrolled(chatId)) {
+      console.log(`[AUTH] Group ${chatId} not enrolled - denied`);
       return false;
     }
     
@@ -233,6 +320,18 @@ export function canManageGroup(userId, groupId) {
   return canManage;
 }
 
+/**
+ * Check the cache for whether a user administers a group, without logging
+ * (used by the per-message ban check to exempt group admins)
+ * @param {number} userId - User ID
+ * @param {number} groupId - Group ID
+ * @returns {boolean} Whether the user is a global admin or an admin of the group
+ */
+export function isGroupManager(userId, groupId) {
+  const userAuth = getUserAuthInfo(userId);
+  return !!userAuth && (userAuth.isGlobal || userAuth.managedGroups.has(groupId));
+}
+
 /**
  * Get list of groups a user can manage
  * @param {number} userId - User ID
@@ -246,16 +345,38 @@ export function getManagedGroups(userId) {
   }
   
   if (userAuth.isGlobal) {
-    return [...WHITELISTED_GROUP_IDS];
+    return getEnrolledGroups();
   }
   
   return [...userAuth.managedGroups];
 }
 
 /**
- * Force refresh authorization cache (for testing or manual refresh)
+ * Get the users who can manage a specific group
+ * @param {number} groupId - Group ID
+ * @returns {number[]} Array of user IDs (global admins included)
+ */
+export function getGroupManagers(groupId) {
+  const managers = [];
+  
+  for (const [userId, userAuth] of authCache.authorizedUsers) {
+    if (userAuth.isGlobal || userAuth.managedGroups.has(groupId)) {
+      managers.push(userId);
+    }
+  }
+  
+  return managers;
+}
+
+/**
+ * Force refresh authorization cache (for testing or manual refresh).
+ * A refresh already running may predate the change that needs this one (such as a newly
+ * enrolled group), so wait for it and then refresh again.
  */
 export async function forceRefreshAuthCache() {
+  while (authCache.refreshInProgress) {
+    await authCache.refreshDone;
+  }
   authCache.lastRefresh = 0; // Force refresh
   await refreshAuthCache();
 }
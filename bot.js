@@ -3,7 +3,7 @@
 import { Telegraf } from 'telegraf';
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
-import toml from 'toml';
+import path from 'path';
 
 // config
 import {
@@ -17,9 +17,30 @@ import {
 
 // security
 import {
+  compileSafeRegex,
   createPatternObject,
-  matchesPattern
+  matchesPattern,
+  getMatchableText,
+  getNameVariations,
+  getPatternType,
+  createPatternMatcher,
+  findFirstMatch,
+  parsePatternScope,
+  describePatternScope,
+  validatePatterns,
+  DEFAULT_PATTERN_SCOPE
 } from './security.js';
+import { shutdownRegexPool } from './regexPool.js';
+
+// persistence
+import {
+  writeFileAtomic,
+  serializePatternFile,
+  parsePatternFile,
+  appendJsonLine,
+  readJsonLines,
+  diffPatternSets
+} from './storage.js';
 
 // management auth
 import {
@@ -28,6 +49,12 @@ import {
   canManageGroup,
   getManagedGroups,
   getUserAuthInfo,
+  getGroupManagers,
+  isGroupManager,
+  getEnrolledGroups,
+  isGroupEnrolled,
+  setEnrolledGroups,
+  setGroupAdminStatus,
   refreshAuthCache,
   forceRefreshAuthCache,
   getAuthCacheStats
@@ -39,13 +66,100 @@ const bot = new Telegraf(BOT_TOKEN);
 
 // In-memory Data
 const groupPatterns = new Map(); // Map of groupId -> patterns array
+const groupMatchers = new Map(); // Map of groupId -> compiled matcher (see getGroupMatcher)
+const groupExceptions = new Map(); // Map of groupId -> exception patterns array
+const groupExceptionMatchers = new Map(); // Map of groupId -> compiled exception matcher
+const libraryPatterns = new Map(); // Map of shared library name -> patterns array (see settings.libraries)
 const adminSessions = new Map();
 const newJoinMonitors = {};
-const knownGroupAdmins = new Set();
+let expiryInterval = null;
+const knownMemberNames = new Map(); // Map of `${chatId}_${userId}` -> last seen name
+const MAX_KNOWN_MEMBER_NAMES = 10000;
+const userBios = new Map(); // Map of userId -> { bio, fetchedAt }
+const BIO_CACHE_MS = 10 * 60 * 1000;
+const MAX_CACHED_BIOS = 10000;
+const userWarnings = new Map(); // Map of `${chatId}_${userId}` -> time of the last warning (in memory only)
+const WARNING_GRACE_MS = 10 * 60 * 1000; // Time a warned user gets to change their name
+const WARNING_MEMORY_MS = 7 * 24 * 60 * 60 * 1000; // After this, a match counts as a first offense again
+const shadowReports = new Map(); // Map of `${chatId}_${userId}` -> time of the last shadow mode report
+const SHADOW_REPORT_MS = 60 * 60 * 1000; // Report a user at most once per hour in shadow mode
+const adminRefreshes = new Map(); // Map of userId -> time of their last Refresh Admins click
+const ADMIN_REFRESH_MS = 60 * 1000; // Each refresh queries every enrolled group, so allow one per minute per user
 
 // Settings will be loaded from SETTINGS_FILE at startup
 let settings = {
-  groupActions: {} // Per-group actions (loaded from settings.json)
+  groupActions: {}, // Per-group actions (loaded from settings.json)
+  groupOptions: {}, // Per-group feature options (see DEFAULT_GROUP_OPTIONS)
+  enrolledGroupIds: [], // Groups enrolled at runtime, on top of WHITELISTED_GROUP_IDS
+  removedGroupIds: [], // WHITELISTED_GROUP_IDS groups removed at runtime
+  pendingGroups: {}, // groupId -> { title, requestedBy, requestedAt } waiting for a global admin
+  libraries: {} // Shared pattern library name -> { createdBy, createdAt }
+};
+
+// Defaults for every per-group option stored in settings.groupOptions
+const DEFAULT_GROUP_OPTIONS = {
+  foldLeetspeak: false, // Also match names with digits/symbols folded to letters ("5ol4na")
+  exemptUserIds: [], // Users never acted on in this group
+  deleteTriggerMessage: false, // Delete the message that triggered a mute/kick/ban
+  revokeMessages: false, // Delete all of the user's messages when kicking or banning
+  deleteJoinMessage: false, // Delete the "X joined the group" service message
+  silentAnnouncements: false, // Post nothing in the group when acting on a user
+  announcementDeleteSeconds: 0, // Delete announcements after this many seconds (0 = keep)
+  announcementTemplates: {}, // Custom announcement per action type (see ANNOUNCEMENT_PLACEHOLDERS)
+  logChatId: null, // Channel or group that receives a post for every action
+  adminRoles: {}, // userId -> role for the group's admins (see ROLE_LEVELS)
+  defaultAdminRole: 'owner', // Role of group admins without an entry in adminRoles
+  shadowMode: false, // Only report what would have been done instead of acting
+  libraries: [], // Shared pattern libraries checked along with the group's own patterns
+  federation: false // Share bans with the other federation groups and enforce theirs on join
+};
+
+// Per-group roles of group admins, lowest first. Viewers can list patterns and see stats,
+// editors can also add and remove patterns, owners can also change the action, exemptions
+// and the other group settings. Global admins are owners everywhere.
+const ROLE_LEVELS = { viewer: 1, editor: 2, owner: 3 };
+
+// Menu buttons and typed menu actions that need more than the viewer role
+const CALLBACK_ROLES = {
+  menu_addFilter: 'editor',
+  menu_removeFilter: 'editor',
+  menu_undo: 'editor',
+  import_: 'editor',
+  library_toggle_: 'editor',
+  menu_toggleLeetspeak: 'owner',
+  menu_toggleAction: 'owner',
+  set_action_: 'owner',
+  menu_toggleWarnFirst: 'owner',
+  menu_toggleShadow: 'owner',
+  menu_toggleFederation: 'owner',
+  toggle_option_: 'owner',
+  menu_logChat: 'owner',
+  menu_announcements: 'owner',
+  menu_toggleSilent: 'owner',
+  menu_announceDelete: 'owner',
+  edit_template_: 'owner',
+  menu_addException: 'owner',
+  menu_removeException: 'owner',
+  menu_exemptUser: 'owner',
+  menu_unexemptUser: 'owner'
+};
+const SESSION_ACTION_ROLES = {
+  'Add Filter': 'editor',
+  'Remove Filter': 'editor',
+  'Select Patterns': 'editor',
+  'Add Exception': 'owner',
+  'Remove Exception': 'owner',
+  'Exempt User': 'owner',
+  'Unexempt User': 'owner',
+  'Set Log Chat': 'owner',
+  'Edit Template': 'owner'
+};
+
+// Per-group on/off options toggled from the menu: option -> button label
+const CLEANUP_TOGGLES = {
+  deleteTriggerMessage: 'Delete message',
+  revokeMessages: 'Revoke history',
+  deleteJoinMessage: 'Delete join msg'
 };
 
 // Ban messages
@@ -68,8 +182,69 @@ const kickMessages = [
   "User {userId} needs to rethink their life choices."
 ];
 
+// Mute messages
+const muteMessages = [
+  "User {userId} has been muted. Silence is golden.",
+  "User {userId} has been put on mute. Hasta la vista, chat.",
+  "User {userId} can listen, but won't be talking for a while."
+];
+
+// Warning messages (first offense when a group warns before acting)
+const warnMessages = [
+  "User {userId}, your name matches this group's filters. Change it, or I'll be back.",
+  "Warning for user {userId}: this name is not welcome here. Change it before the next check.",
+  "User {userId}, consider this your only warning. Change your name."
+];
+
+const actionMessages = { ban: banMessages, kick: kickMessages, mute: muteMessages, warn: warnMessages };
+
+// Placeholders available in announcement templates
+const ANNOUNCEMENT_PLACEHOLDERS = {
+  mention: 'link to the user',
+  name: 'display name (or username)',
+  userId: 'numeric user ID',
+  pattern: 'matched pattern',
+  action: 'warned, muted, kicked or banned',
+  duration: 'e.g. 1h or permanent (empty for warn and kick)'
+};
+const ACTION_PAST_TENSE = { warn: 'warned', mute: 'muted', kick: 'kicked', ban: 'banned' };
+const MAX_TEMPLATE_LENGTH = 1000;
+const ANNOUNCEMENT_DELETE_PRESETS = [0, 10, 30, 60, 300];
+
+// Everything a muted member is not allowed to do
+const MUTED_PERMISSIONS = {
+  can_send_messages: false,
+  can_send_audios: false,
+  can_send_documents: false,
+  can_send_photos: false,
+  can_send_videos: false,
+  can_send_video_notes: false,
+  can_send_voice_notes: false,
+  can_send_polls: false,
+  can_send_other_messages: false,
+  can_add_web_page_previews: false
+};
+
+// Presets offered by the action chooser (any action can be set with /setaction)
+const ACTION_PRESETS = ['warn', 'mute 10m', 'mute 1h', 'mute 1d', 'kick', 'ban 1d', 'ban 7d', 'ban'];
+
 // Hit counter variables with race condition protection
-let hitCounters = {}; // Structure: { groupId: { pattern: count, ... }, ... }
+let hitCounters = {}; // Structure: { groupId: { pattern: { total, hours: { 'YYYY-MM-DDTHH': count } }, ... }, ... }
+const HIT_HISTORY_MS = 30 * 24 * 60 * 60 * 1000; // Hourly hit counts are kept this long
+const HIT_WINDOWS = { '24h': 24 * 60 * 60 * 1000, '7d': 7 * 24 * 60 * 60 * 1000, '30d': HIT_HISTORY_MS };
+let falsePositives = {}; // Same structure: matches an admin reversed with /unban
+const FALSE_POSITIVE_FILE = path.join(path.dirname(HIT_COUNTER_FILE), 'false_positives.json');
+const AUDIT_LOG_FILE = path.join(path.dirname(SETTINGS_FILE), 'audit_log.jsonl');
+let federationBans = {}; // userId -> { groupId, pattern, bannedAt, enforcedIn: [groupId], liftedIn: [groupId] } shared by federation groups
+const FEDERATION_BANS_FILE = path.join(path.dirname(SETTINGS_FILE), 'federation_bans.json');
+let bannedUserIds = { global: {}, groups: {} }; // userId -> { addedBy, addedAt, note, enforcedIn }, for all groups or per groupId
+const BANNED_IDS_FILE = path.join(BANNED_PATTERNS_DIR, 'banned_ids.json');
+const PATTERN_HISTORY_DIR = path.join(BANNED_PATTERNS_DIR, 'history');
+const MAX_PATTERN_REVISIONS = 50; // Older snapshots are deleted, their history entries are kept
+const patternSaveQueues = new Map(); // Map of groupId -> promise of the save in progress
+const MAX_IMPORT_FILE_BYTES = 256 * 1024;
+const recentActions = new Map(); // Map of `${chatId}_${userId}` -> { userId, username, pattern, type, at } (in memory only)
+const MAX_RECENT_ACTIONS = 1000;
 let saveInProgress = false;
 let pendingSave = false;
 let saveTimeout = null;
@@ -78,7 +253,7 @@ let saveTimeout = null;
 function isChatAllowed(ctx) {
   const chatType = ctx.chat?.type;
   if (chatType === 'group' || chatType === 'supergroup') {
-    const isAllowed = WHITELISTED_GROUP_IDS.includes(ctx.chat.id);
+    const isAllowed = isGroupEnrolled(ctx.chat.id);
     console.log(`[CHAT_CHECK] Group ${ctx.chat.id} (${chatType}) - Allowed: ${isAllowed}`);
     return isAllowed;
   }
@@ -87,104 +262,526 @@ function isChatAllowed(ctx) {
   return false;
 }
 
-function getRandomMessage(userId, isBan = true) {
-  const messageArray = isBan ? banMessages : kickMessages;
-  const randomIndex = Math.floor(Math.random() * messageArray.length);
-  const message = messageArray[randomIndex].replace('{userId}', userId);
-  console.log(`[MESSAGE] Generated ${isBan ? 'ban' : 'kick'} message for user ${userId}: "${message}"`);
-  return message;
+// Escape text for messages sent with parse_mode HTML
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 }
 
-function getGroupAction(groupId) {
-  const action = settings.groupActions[groupId] || 'kick';
-  console.log(`[ACTION] Group ${groupId} action: ${action.toUpperCase()}`);
-  return action;
+// Parse a duration like "30m", "12h", "7d" or "2w" into milliseconds (null if invalid)
+function parseDuration(value) {
+  const match = /^(\d+)\s*([mhdw])$/i.exec(String(value).trim());
+  if (!match) return null;
+  const unitMs = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+  return parseInt(match[1]) * unitMs[match[2].toLowerCase()];
 }
 
-async function checkAndCacheGroupAdmin(userId, bot) {
-  console.log(`[ADMIN_CHECK] Checking admin status for user ${userId}`);
+// Parse an expiry given as a duration from now ("7d") or a future date ("2026-11-01")
+function parseExpiry(value) {
+  const duration = parseDuration(value);
+  if (duration) {
+    return new Date(Date.now() + duration).toISOString();
+  }
   
-  if (WHITELISTED_USER_IDS.includes(userId)) {
-    console.log(`[ADMIN_CHECK] User ${userId} is in whitelist - granted admin`);
-    return true;
+  const date = new Date(value);
+  if (/^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(date.getTime()) && date.getTime() > Date.now()) {
+    return date.toISOString();
+  }
+  
+  throw new Error(`Invalid expiry "${value}". Use a duration like 7d or 12h, or a future date like 2026-11-01.`);
+}
+
+// Split command input into its leading text and trailing --options
+// e.g. "*casino* --note scam wave --expires 30d" -> { text: "*casino*", options: [["note", "scam wave"], ["expires", "30d"]] }
+function splitCommandOptions(input) {
+  const optionStart = input.search(/(^|\s)--[a-z]+(\s|$)/);
+  const text = (optionStart === -1 ? input : input.slice(0, optionStart)).trim();
+  const options = [];
+  
+  if (optionStart !== -1) {
+    const parts = input.slice(optionStart).split(/(?:^|\s)--(?=[a-z]+(?:\s|$))/).filter(part => part.trim());
+    for (const part of parts) {
+      const [name, ...rest] = part.trim().split(/\s+/);
+      options.push([name, rest.join(' ')]);
+    }
+  }
+  
+  return { text, options };
+}
+
+// Split filter input into the pattern and its metadata
+// e.g. "*casino* --note scam wave Oct 2026 --expires 30d --scope name --action ban"
+function parseFilterInput(input) {
+  const { text: pattern, options } = splitCommandOptions(input);
+  const metadata = {};
+  
+  for (const [name, value] of options) {
+    if (name === 'note') {
+      metadata.note = value.slice(0, 200);
+    } else if (name === 'expires') {
+      metadata.expiresAt = parseExpiry(value);
+    } else if (name === 'scope') {
+      metadata.scope = parsePatternScope(value);
+    } else if (name === 'action') {
+      metadata.action = parseAction(value).spec;
+    } else {
+      throw new Error(`Unknown option --${name}. Supported: --note <text>, --expires <7d|2026-11-01>, --scope <username|display|compact|name|bio|all>, --action <warn|mute 1h|kick|ban 7d>`);
+    }
+  }
+  
+  return { pattern, metadata };
+}
+
+// The group's template for an action type, or a random built-in message
+function getAnnouncementTemplate(groupId, type) {
+  const custom = getGroupOptions(groupId).announcementTemplates[type];
+  if (custom) return custom;
+  
+  const messageArray = actionMessages[type];
+  return messageArray[Math.floor(Math.random() * messageArray.length)];
+}
+
+// Fill in a template's placeholders. The template is plain text, so everything is
+// escaped for HTML except the {mention} link.
+function renderAnnouncement(template, values) {
+  return escapeHtml(template).replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (name === 'mention') {
+      return `<a href="tg://user?id=${values.userId}">${escapeHtml(values.name)}</a>`;
+    }
+    return name in ANNOUNCEMENT_PLACEHOLDERS ? escapeHtml(values[name] ?? '') : placeholder;
+  });
+}
+
+// Check a template typed by an admin; returns an error message or null
+function validateAnnouncementTemplate(template) {
+  if (!template.trim()) return 'The template is empty.';
+  if (template.length > MAX_TEMPLATE_LENGTH) return `Templates are limited to ${MAX_TEMPLATE_LENGTH} characters.`;
+  const unknown = [...template.matchAll(/\{(\w+)\}/g)]
+    .map(m => m[1])
+    .filter(name => !(name in ANNOUNCEMENT_PLACEHOLDERS));
+  if (unknown.length > 0) {
+    return `Unknown placeholder(s): ${unknown.map(name => `{${name}}`).join(', ')}. ` +
+      `Available: ${Object.keys(ANNOUNCEMENT_PLACEHOLDERS).map(name => `{${name}}`).join(', ')}`;
+  }
+  return null;
+}
+
+// Post the announcement for an action, unless the group is silent
+async function announceAction(chatId, type, values) {
+  const options = getGroupOptions(chatId);
+  if (options.silentAnnouncements) {
+    console.log(`[MESSAGE] Group ${chatId} is silent - no ${type} announcement for user ${values.userId}`);
+    return;
+  }
+  
+  const message = renderAnnouncement(getAnnouncementTemplate(chatId, type), values);
+  console.log(`[MESSAGE] Generated ${type} message for user ${values.userId}: "${message}"`);
+  const sent = await bot.telegram.sendMessage(chatId, message, { parse_mode: 'HTML' });
+  
+  if (options.announcementDeleteSeconds > 0) {
+    setTimeout(() => {
+      deleteMessageQuietly(chatId, sent.message_id, 'announcement');
+    }, options.announcementDeleteSeconds * 1000);
+  }
+}
+
+// Parse an action: "warn", "mute [30m]", "kick", "ban [7d]", or any of the last three
+// prefixed with "warn" to warn on the first match and act on a repeat ("warn mute 1h")
+// Returns { type, duration, durationMs, warnFirst, spec } with spec in canonical form
+function parseAction(input) {
+  const words = String(input).trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const warnFirst = words[0] === 'warn' && words.length > 1;
+  if (warnFirst) words.shift();
+  
+  const [type, duration = null, ...extra] = words;
+  if (!['warn', 'mute', 'kick', 'ban'].includes(type) || (warnFirst && type === 'warn') || extra.length > 0) {
+    throw new Error(`Invalid action "${input}". Use warn, mute [duration], kick or ban [duration], optionally prefixed with "warn", e.g. "warn mute 1h".`);
+  }
+  
+  let durationMs = null;
+  if (duration) {
+    if (type !== 'mute' && type !== 'ban') {
+      throw new Error(`A duration only applies to mute and ban.`);
+    }
+    durationMs = parseDuration(duration);
+    // Telegram treats restrictions under 30 seconds or over 366 days as permanent
+    if (!durationMs || durationMs < 60 * 1000 || durationMs > 366 * 24 * 60 * 60 * 1000) {
+      throw new Error(`Invalid duration "${duration}". Use 1m to 366d, e.g. 30m, 12h, 7d or 2w.`);
+    }
   }
   
-  for (const groupId of WHITELISTED_GROUP_IDS) {
+  const spec = [warnFirst && 'warn', type, duration].filter(Boolean).join(' ');
+  return { type, duration, durationMs, warnFirst, spec };
+}
+
+// Human-readable action, e.g. "WARN → MUTE 1h"
+function formatAction(spec) {
+  let action;
+  try {
+    action = parseAction(spec);
+  } catch {
+    return `${String(spec).toUpperCase()} (invalid)`;
+  }
+  const { type, duration, warnFirst } = action;
+  const label = type.toUpperCase() + (duration ? ` ${duration}` : (type === 'ban' || type === 'mute' ? ' (permanent)' : ''));
+  return warnFirst ? `WARN → ${label}` : label;
+}
+
+function formatMemberName(user) {
+  const displayName = [user.first_name, user.last_name].filter(Boolean).join(' ');
+  return `@${user.username || 'no_username'} "${displayName}"`;
+}
+
+// Remember the last name we saw for a member, returning the previous one (if any)
+function rememberMemberName(chatId, user) {
+  const key = `${chatId}_${user.id}`;
+  const previousName = knownMemberNames.get(key) || null;
+  const currentName = formatMemberName(user);
+
+  // Re-insert so the map stays ordered by recency, then evict the oldest entries
+  knownMemberNames.delete(key);
+  knownMemberNames.set(key, currentName);
+  while (knownMemberNames.size > MAX_KNOWN_MEMBER_NAMES) {
+    knownMemberNames.delete(knownMemberNames.keys().next().value);
+  }
+
+  return previousName;
+}
+
+function getGroupOptions(groupId) {
+  return { ...DEFAULT_GROUP_OPTIONS, ...(settings.groupOptions[groupId] || {}) };
+}
+
+// adminId is recorded in the audit log (null for changes the bot makes itself)
+async function setGroupOption(groupId, key, value, adminId = null) {
+  const before = getGroupOptions(groupId)[key];
+  settings.groupOptions[groupId] = { ...(settings.groupOptions[groupId] || {}), [key]: value };
+  console.log(`[SETTINGS] Group ${groupId} option ${key} set to ${JSON.stringify(value)}`);
+  await recordAudit(groupId, adminId, `set ${key}`, before, value);
+  return saveSettings();
+}
+
+// A group's default action spec (see parseAction)
+function getGroupAction(groupId) {
+  let action = settings.groupActions[groupId] || 'kick';
+  try {
+    action = parseAction(action).spec;
+  } catch (err) {
+    console.warn(`[ACTION] Group ${groupId} has an invalid action "${action}" - using kick: ${err.message}`);
+    action = 'kick';
+  }
+  console.log(`[ACTION] Group ${groupId} action: ${formatAction(action)}`);
+  return action;
+}
+
+async function setGroupAction(groupId, spec, adminId = null) {
+  const before = settings.groupActions[groupId] || null;
+  settings.groupActions[groupId] = parseAction(spec).spec;
+  console.log(`[ACTION] Group ${groupId} action set to ${formatAction(settings.groupActions[groupId])}`);
+  await recordAudit(groupId, adminId, 'set action', before, settings.groupActions[groupId]);
+  return saveSettings();
+}
+
+// Compiled matcher for a group's active patterns and those of its subscribed libraries,
+// rebuilt lazily after every change
+function getGroupMatcher(groupId) {
+  let matcher = groupMatchers.get(groupId);
+  if (!matcher) {
+    const activePatterns = (groupPatterns.get(groupId) || []).filter(isPatternActive);
+    // A library pattern with the same text as one already included adds nothing
+    const seen = new Set(activePatterns.map(p => p.raw));
+    for (const name of getGroupOptions(groupId).libraries) {
+      for (const pattern of libraryPatterns.get(name) || []) {
+        if (isPatternActive(pattern) && !seen.has(pattern.raw)) {
+          seen.add(pattern.raw);
+          activePatterns.push(pattern);
+        }
+      }
+    }
+    matcher = createPatternMatcher(activePatterns);
+    groupMatchers.set(groupId, matcher);
+    console.log(`[MATCHER] Compiled ${matcher.textIndices.length} text and ${matcher.regexEntries.length} regex patterns for group ${groupId}`);
+  }
+  return matcher;
+}
+
+function getGroupExceptionMatcher(groupId) {
+  let matcher = groupExceptionMatchers.get(groupId);
+  if (!matcher) {
+    const activeExceptions = (groupExceptions.get(groupId) || []).filter(isPatternActive);
+    matcher = createPatternMatcher(activeExceptions);
+    groupExceptionMatchers.set(groupId, matcher);
+    console.log(`[MATCHER] Compiled ${matcher.patterns.length} exception patterns for group ${groupId}`);
+  }
+  return matcher;
+}
+
+// A user's role in a group, or null if they cannot manage it
+function getGroupRole(userId, groupId) {
+  if (WHITELISTED_USER_IDS.includes(userId)) return 'owner';
+  if (!isGroupManager(userId, groupId)) return null;
+  const options = getGroupOptions(groupId);
+  const role = options.adminRoles[userId] || options.defaultAdminRole;
+  return ROLE_LEVELS[role] ? role : 'viewer';
+}
+
+// Role needed for a menu button (keys ending in "_" are prefixes of parameterized buttons)
+function getCallbackRole(data) {
+  const key = Object.keys(CALLBACK_ROLES).find(name => name.endsWith('_') ? data.startsWith(name) : data === name);
+  return key ? CALLBACK_ROLES[key] : 'viewer';
+}
+
+// Whether a user has at least the given role in a group
+function hasGroupRole(userId, groupId, role) {
+  const userRole = getGroupRole(userId, groupId);
+  const allowed = Boolean(userRole) && ROLE_LEVELS[userRole] >= ROLE_LEVELS[role];
+  if (!allowed) {
+    console.log(`[ROLE] User ${userId} (${userRole || 'no role'}) needs ${role} in group ${groupId}`);
+  }
+  return allowed;
+}
+
+// Reply for a command that needs a role the user does not have in the selected group
+function describeRoleDenial(userId, groupId, role) {
+  const userRole = groupId ? getGroupRole(userId, groupId) : null;
+  if (!userRole) {
+    return 'No group selected or permission denied. Use /menu to select a group first.';
+  }
+  return `This needs the ${role} role in Group ${groupId}; your role there is ${userRole}.`;
+}
+
+async function setGroupRole(groupId, userId, role, adminId = null) {
+  const adminRoles = { ...getGroupOptions(groupId).adminRoles };
+  if (role === 'default') {
+    delete adminRoles[userId];
+  } else {
+    adminRoles[userId] = role;
+  }
+  await setGroupOption(groupId, 'adminRoles', adminRoles, adminId);
+  console.log(`[ROLE] User ${userId} in group ${groupId}: ${role}`);
+}
+
+// Users that are never acted on: the group's exempt list and its admins
+function isUserExempt(groupId, userId) {
+  return getGroupOptions(groupId).exemptUserIds.includes(userId) || isGroupManager(userId, groupId);
+}
+
+// Run a group's (exception) matcher against the inputs. A pattern that runs too long
+// (or fails) is quarantined and the match is repeated without it.
+// Returns { pattern, inputIndex } for the first matching pattern, or null
+async function findGroupMatch(groupId, getMatcher, inputs, inputFields) {
+  for (;;) {
+    const matcher = getMatcher(groupId);
+    if (matcher.patterns.length === 0) return null;
+    
     try {
-      const user = await bot.telegram.getChatMember(groupId, userId);
-      if (user.status === 'administrator' || user.status === 'creator') {
-        knownGroupAdmins.add(userId);
-        console.log(`[ADMIN_CHECK] User ${userId} is admin in group ${groupId} - cached`);
-        return true;
+      const match = await findFirstMatch(matcher, inputs, 100, inputFields);
+      return match && { pattern: matcher.patterns[match.patternIndex], inputIndex: match.inputIndex };
+    } catch (err) {
+      const pattern = matcher.patterns[err.patternIndex];
+      if (!pattern) {
+        console.error(`[BAN_CHECK] Error testing patterns: ${err.message}`);
+        return null;
       }
-    } catch {
-      console.log(`[ADMIN_CHECK] User ${userId} not found in group ${groupId}`);
+      
+      console.error(`[BAN_CHECK] Error testing pattern "${pattern.raw}": ${err.message}`);
+      await quarantinePattern(groupId, pattern, err.message);
     }
   }
+}
+
+// Fetch a user's bio, cached so that per-message checks don't each cost an API call
+async function getUserBio(userId) {
+  const cached = userBios.get(userId);
+  if (cached && Date.now() - cached.fetchedAt < BIO_CACHE_MS) {
+    return cached.bio;
+  }
   
-  console.log(`[ADMIN_CHECK] User ${userId} is not an admin in any group`);
-  return false;
+  let bio = null;
+  try {
+    const chat = await bot.telegram.getChat(userId);
+    bio = chat.bio || null;
+  } catch (err) {
+    console.warn(`[BIO] Could not fetch bio for user ${userId}: ${err.message}`);
+  }
+  
+  userBios.delete(userId);
+  if (userBios.size >= MAX_CACHED_BIOS) {
+    userBios.delete(userBios.keys().next().value);
+  }
+  userBios.set(userId, { bio, fetchedAt: Date.now() });
+  return bio;
 }
 
 // Pattern matching using security module
-async function isBanned(username, firstName, lastName, groupId) {
+// userId is needed for the exempt user check and for bio-scoped patterns
+// Returns { pattern, action, field, label, tested } for the first matching pattern, or null
+async function isBanned(username, firstName, lastName, groupId, userId = null) {
   console.log(`[BAN_CHECK] Checking user: @${username || 'no_username'}, Name: ${[firstName, lastName].filter(Boolean).join(' ')}, Group: ${groupId}`);
   
-  const patterns = groupPatterns.get(groupId) || [];
+  if (userId && isUserExempt(groupId, userId)) {
+    console.log(`[BAN_CHECK] User ${userId} is exempt in group ${groupId} - not banned`);
+    return null;
+  }
   
   // Quick exit if no patterns
-  if (patterns.length === 0) {
+  if (getGroupMatcher(groupId).patterns.length === 0) {
     console.log(`[BAN_CHECK] No patterns configured for group ${groupId} - not banned`);
-    return false;
+    return null;
   }
   
-  console.log(`[BAN_CHECK] Testing against ${patterns.length} patterns`);
+  const needsBio = userId && [getGroupMatcher(groupId), getGroupExceptionMatcher(groupId)]
+    .some(matcher => matcher.scopes.some(scope => scope.has('bio')));
+  const bio = needsBio ? await getUserBio(userId) : null;
   
-  // Test each pattern safely
-  for (let i = 0; i < patterns.length; i++) {
-    const pattern = patterns[i];
-    console.log(`[BAN_CHECK] Testing pattern ${i + 1}/${patterns.length}: "${pattern.raw}"`);
-    
+  // Raw and normalized forms of the username, display name variations and bio
+  const inputs = [];
+  const inputVariations = [];
+  const variations = getNameVariations(username, firstName, lastName, {
+    foldLeetspeak: getGroupOptions(groupId).foldLeetspeak,
+    bio
+  });
+  for (const variation of variations) {
+    const text = getMatchableText(variation.tested);
+    if (text !== null) {
+      inputs.push(text);
+      inputVariations.push(variation);
+    }
+  }
+  const inputFields = inputVariations.map(v => v.field);
+  
+  // Exceptions are checked first and override every block pattern
+  const exception = await findGroupMatch(groupId, getGroupExceptionMatcher, inputs, inputFields);
+  if (exception) {
+    const variation = inputVariations[exception.inputIndex];
+    console.log(`[BAN_CHECK] Not banned - ${variation.label} "${variation.tested}" matched exception "${exception.pattern.raw}"`);
+    return null;
+  }
+  
+  console.log(`[BAN_CHECK] Testing ${inputs.length} name variations against ${getGroupMatcher(groupId).patterns.length} patterns`);
+  
+  const match = await findGroupMatch(groupId, getGroupMatcher, inputs, inputFields);
+  if (match) {
+    const variation = inputVariations[match.inputIndex];
+    const patternLabel = formatPatternSource(match.pattern);
+    incrementHitCounter(groupId, patternLabel);
+    console.log(`[BAN_CHECK] BANNED - ${variation.label} "${variation.tested}" matched pattern "${patternLabel}"`);
+    return {
+      pattern: patternLabel,
+      library: match.pattern.library || null,
+      action: match.pattern.action || null,
+      field: variation.field,
+      label: variation.label,
+      tested: variation.tested
+    };
+  }
+  
+  console.log(`[BAN_CHECK] User not banned - no pattern matches`);
+  return null;
+}
+
+// Disable a pattern that timed out so it can't stall future checks, and tell the group's admins
+// (or the global admins, for a library pattern)
+async function quarantinePattern(groupId, pattern, reason) {
+  if (pattern.quarantined) return;
+  
+  pattern.quarantined = true;
+  console.warn(`[QUARANTINE] Pattern "${formatPatternSource(pattern)}" quarantined in group ${groupId}: ${reason}`);
+  if (pattern.library) {
+    await saveLibrary(pattern.library);
+    await recordLibraryAudit(pattern.library, null, `quarantine pattern in library ${pattern.library}`, pattern.raw, reason);
+  } else {
+    await saveGroupPatterns(groupId, groupPatterns.get(groupId) || [], { change: 'quarantine pattern' });
+    await recordAudit(groupId, null, 'quarantine pattern', pattern.raw, reason);
+  }
+  
+  const isException = (groupExceptions.get(groupId) || []).includes(pattern);
+  const removeCommand = pattern.library
+    ? `/library remove ${pattern.library} &lt;pattern&gt;`
+    : (isException ? '/removeException' : '/removeFilter');
+  const message =
+    `<b>${isException ? 'Exception' : 'Pattern'} quarantined in ${pattern.library ? `library ${pattern.library}` : `Group ${groupId}`}</b>\n\n` +
+    `<code>${escapeHtml(pattern.raw)}</code>\n\n` +
+    `Reason: ${reason}\n\n` +
+    `The pattern is no longer checked. Remove it with ${removeCommand} and add a simpler version.`;
+  
+  for (const userId of pattern.library ? WHITELISTED_USER_IDS : getGroupManagers(groupId)) {
     try {
-      // Test username
-      if (username) {
-        const usernameMatch = await matchesPattern(pattern.raw, username.toLowerCase());
-        if (usernameMatch) {
-          incrementHitCounter(groupId, pattern.raw);
-          console.log(`[BAN_CHECK] BANNED - Username "${username}" matched pattern "${pattern.raw}"`);
-          return true;
-        }
-      }
+      await bot.telegram.sendMessage(userId, message, { parse_mode: 'HTML' });
+      console.log(`[QUARANTINE] Notified admin ${userId}`);
+    } catch (err) {
+      console.log(`[QUARANTINE] Could not notify admin ${userId}: ${err.message}`);
+    }
+  }
+}
 
-      
-      // Test display name variations
-      const displayName = [firstName, lastName].filter(Boolean).join(' ');
-      if (displayName) {
-        const variations = [
-          displayName,
-          displayName.replace(/["'`]/g, ''),
-          displayName.replace(/\s+/g, ''),
-          displayName.replace(/["'`\s]/g, '')
-        ];
-        
-      for (const variation of variations) {
-        const nameMatch = await matchesPattern(pattern.raw, variation.toLowerCase());
-        if (nameMatch) {
-          incrementHitCounter(groupId, pattern.raw);
-          console.log(`[BAN_CHECK] BANNED - Display name "${variation}" matched pattern "${pattern.raw}"`);
-          return true;
-        }
-      }
+function isPatternExpired(pattern) {
+  return Boolean(pattern.expiresAt) && Date.parse(pattern.expiresAt) <= Date.now();
+}
 
-      }
-    } catch (err) {
-      console.error(`[BAN_CHECK] Error testing pattern "${pattern.raw}": ${err.message}`);
-      continue;
+// Whether a pattern takes part in ban checks
+function isPatternActive(pattern) {
+  return !pattern.quarantined && pattern.enabled !== false && !isPatternExpired(pattern);
+}
+
+// Disable group and library patterns whose expiry date has passed
+async function disableExpiredPatterns() {
+  for (const [groupId, patterns] of groupPatterns) {
+    const expired = [...patterns, ...(groupExceptions.get(groupId) || [])]
+      .filter(p => p.enabled !== false && isPatternExpired(p));
+    if (expired.length === 0) continue;
+    
+    for (const pattern of expired) {
+      pattern.enabled = false;
+      console.log(`[EXPIRY] Pattern "${pattern.raw}" in group ${groupId} expired at ${pattern.expiresAt} - disabled`);
+    }
+    await saveGroupPatterns(groupId, patterns, { change: 'expire patterns' });
+    for (const pattern of expired) {
+      await recordAudit(groupId, null, 'expire pattern', pattern.raw, 'disabled');
     }
   }
-  
-  console.log(`[BAN_CHECK] User not banned - no pattern matches`);
-  return false;
+  for (const [name, patterns] of libraryPatterns) {
+    const expired = patterns.filter(p => p.enabled !== false && isPatternExpired(p));
+    if (expired.length === 0) continue;
+    
+    for (const pattern of expired) {
+      pattern.enabled = false;
+      console.log(`[EXPIRY] Pattern "${pattern.raw}" in library ${name} expired at ${pattern.expiresAt} - disabled`);
+    }
+    await saveLibrary(name);
+    for (const pattern of expired) {
+      await recordLibraryAudit(name, null, `expire pattern in library ${name}`, pattern.raw, 'disabled');
+    }
+  }
+}
+
+// Label shown next to a pattern in lists
+function formatPatternFlags(pattern) {
+  const flags = [];
+  if (pattern.quarantined) flags.push('QUARANTINED');
+  if (pattern.enabled === false) flags.push(isPatternExpired(pattern) ? 'EXPIRED' : 'DISABLED');
+  return flags.map(flag => ` [${flag}]`).join('');
+}
+
+// One-line summary of a pattern's note, author and dates ('' if it has none)
+function formatPatternMeta(pattern) {
+  const parts = [];
+  if (pattern.note) parts.push(`"${pattern.note}"`);
+  if (pattern.scope) parts.push(`only ${describePatternScope(pattern.scope)}`);
+  if (pattern.action) parts.push(`action ${formatAction(pattern.action)}`);
+  if (pattern.addedBy) parts.push(`by ${pattern.addedBy}`);
+  if (pattern.addedAt) parts.push(`added ${pattern.addedAt.slice(0, 10)}`);
+  if (pattern.expiresAt) parts.push(`${isPatternExpired(pattern) ? 'expired' : 'expires'} ${pattern.expiresAt.slice(0, 10)}`);
+  return parts.join(' · ');
+}
+
+// A pattern as a list entry with its flags and metadata
+function formatPatternLine(pattern, index, { html = true } = {}) {
+  const meta = formatPatternMeta(pattern);
+  if (html) {
+    return `${index + 1}. <code>${escapeHtml(pattern.raw)}</code>${formatPatternFlags(pattern)}` +
+      (meta ? `\n    <i>${escapeHtml(meta)}</i>` : '');
+  }
+  return `- ${pattern.raw}${formatPatternFlags(pattern)}` + (meta ? `\n    ${meta}` : '');
 }
 
 // Persistence Functions
@@ -204,105 +801,463 @@ async function getGroupPatternFilePath(groupId) {
   return path;
 }
 
+// Validate the entries read from a pattern file into pattern objects
+function validateLoadedPatterns(groupId, entries, kind) {
+  const validatedPatterns = [];
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    const pt = entry.raw;
+    try {
+      // Use security module to validate and create pattern objects
+      const patternObj = createPatternObject(pt, entry);
+      validatedPatterns.push(patternObj);
+      console.log(`[LOAD] ${kind} ${i + 1}: "${pt}" - validated${patternObj.quarantined ? ' (quarantined)' : ''}`);
+      
+      // Safety limit
+      if (validatedPatterns.length >= 100) {
+        console.warn(`[LOAD] Reached maximum ${kind.toLowerCase()}s (100) for group ${groupId}`);
+        break;
+      }
+    } catch (err) {
+      if (err.code === 'DANGEROUS_REGEX') {
+        // Keep patterns saved before dangerous regexes were rejected, but never run them
+        validatedPatterns.push({ ...entry, type: getPatternType(pt), regex: compileSafeRegex(pt), warnings: [], quarantined: true });
+        console.warn(`[LOAD] ${kind} ${i + 1}: "${pt}" - quarantined: ${err.message}`);
+      } else {
+        console.warn(`[LOAD] ${kind} ${i + 1}: "${pt}" - skipped: ${err.message}`);
+      }
+    }
+  }
+  return validatedPatterns;
+}
+
+// Returns { patterns, exceptions } for a group (both empty if it has no file)
 async function loadGroupPatterns(groupId) {
   console.log(`[LOAD] Loading patterns for group ${groupId}`);
   
   try {
     const filePath = await getGroupPatternFilePath(groupId);
     const data = await fs.readFile(filePath, 'utf-8');
-    const parsed = toml.parse(data);
     
-    if (!parsed.patterns || !Array.isArray(parsed.patterns)) {
-      console.log(`[LOAD] No patterns array found in file for group ${groupId}`);
-      return [];
+    let parsed;
+    try {
+      parsed = parsePatternFile(data);
+    } catch (err) {
+      // Keep a copy of the unreadable file so the next save doesn't destroy the only one
+      const backupPath = `${filePath}.corrupt-${Date.now()}`;
+      await fs.copyFile(filePath, backupPath).catch(copyErr => {
+        console.error(`[LOAD] Could not back up ${filePath}:`, copyErr);
+      });
+      console.error(`[LOAD] Invalid TOML in ${filePath} - copy kept at ${backupPath}: ${err.message}`);
+      return { patterns: [], exceptions: [] };
     }
     
-    console.log(`[LOAD] Found ${parsed.patterns.length} patterns in file`);
+    console.log(`[LOAD] Found ${parsed.patterns.length} patterns and ${parsed.exceptions.length} exceptions in file`);
     
-    const validatedPatterns = [];
-    for (let i = 0; i < parsed.patterns.length; i++) {
-      const pt = parsed.patterns[i];
-      try {
-        // Use security module to validate and create pattern objects
-        const patternObj = createPatternObject(pt);
-        validatedPatterns.push(patternObj);
-        console.log(`[LOAD] Pattern ${i + 1}: "${pt}" - validated`);
-        
-        // Safety limit
-        if (validatedPatterns.length >= 100) {
-          console.warn(`[LOAD] Reached maximum patterns (100) for group ${groupId}`);
-          break;
-        }
-      } catch (err) {
-        console.warn(`[LOAD] Pattern ${i + 1}: "${pt}" - skipped: ${err.message}`);
-      }
-    }
+    const patterns = validateLoadedPatterns(groupId, parsed.patterns, 'Pattern');
+    const exceptions = validateLoadedPatterns(groupId, parsed.exceptions, 'Exception');
     
-    console.log(`[LOAD] Loaded ${validatedPatterns.length} valid patterns for group ${groupId}`);
-    return validatedPatterns;
+    console.log(`[LOAD] Loaded ${patterns.length} valid patterns and ${exceptions.length} exceptions for group ${groupId}`);
+    return { patterns, exceptions };
   } catch (err) {
     if (err.code !== 'ENOENT') {
       console.error(`[LOAD] Error reading patterns for group ${groupId}:`, err);
     } else {
       console.log(`[LOAD] No pattern file exists for group ${groupId}`);
     }
-    return [];
+    return { patterns: [], exceptions: [] };
   }
 }
 
-async function saveGroupPatterns(groupId, patterns) {
+// Save a group's patterns and exceptions. Every save is kept as a numbered revision;
+// adminId and change describe it in /history (adminId is null for the bot's own changes).
+// Returns the new revision number, or null if the save failed or its revision couldn't be recorded.
+async function saveGroupPatterns(groupId, patterns, { adminId = null, change = 'update filters' } = {}) {
   console.log(`[SAVE] Saving ${patterns.length} patterns for group ${groupId}`);
   
-  const lines = patterns.map(({ raw }) => `  "${raw}"`).join(',\n');
-  const content = `patterns = [\n${lines}\n]\n`;
+  // Every change to a group's patterns is saved, so this is where the compiled matchers go stale
+  groupMatchers.delete(groupId);
+  groupExceptionMatchers.delete(groupId);
   
-  try {
-    const filePath = await getGroupPatternFilePath(groupId);
-    await fs.writeFile(filePath, content);
-    console.log(`[SAVE] Successfully saved patterns to ${filePath}`);
-  } catch (err) {
-    console.error(`[SAVE] Error writing patterns for group ${groupId}:`, err);
+  const content = serializePatternFile(patterns, groupExceptions.get(groupId) || []);
+  
+  // Saves of one group run one at a time so revisions are numbered in order
+  const previous = patternSaveQueues.get(groupId) || Promise.resolve();
+  const save = previous.then(async () => {
+    let previousContent;
+    try {
+      const filePath = await getGroupPatternFilePath(groupId);
+      previousContent = await fs.readFile(filePath, 'utf-8').catch(err => {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      });
+      await writeFileAtomic(filePath, content);
+      console.log(`[SAVE] Successfully saved patterns to ${filePath}`);
+    } catch (err) {
+      console.error(`[SAVE] Error writing patterns for group ${groupId}:`, err);
+      return null;
+    }
+    // The patterns are saved at this point; a history failure only costs the revision
+    try {
+      return await recordPatternRevision(groupId, previousContent, content, adminId, change);
+    } catch (err) {
+      console.error(`[HISTORY] Error recording a revision for group ${groupId}:`, err);
+      return null;
+    }
+  });
+  patternSaveQueues.set(groupId, save);
+  
+  const rev = await save;
+  if (patternSaveQueues.get(groupId) === save) {
+    patternSaveQueues.delete(groupId);
+  }
+  
+  // Offer the admin who made the change an undo button in the menu
+  const session = adminId ? adminSessions.get(adminId) : null;
+  if (session && rev) {
+    session.undoRevision = { groupId, rev };
   }
+  return rev;
 }
 
-async function loadAllGroupPatterns() {
-  console.log(`[INIT] Loading patterns for all whitelisted groups`);
-  await ensureBannedPatternsDirectory();
+function getRevisionIndexPath(groupId) {
+  return path.join(PATTERN_HISTORY_DIR, `patterns_${groupId}.jsonl`);
+}
+
+function getRevisionFilePath(groupId, rev) {
+  return path.join(PATTERN_HISTORY_DIR, `patterns_${groupId}.r${rev}.toml`);
+}
+
+// All revisions of a group, oldest first: { rev, at, adminId, change, added, removed, changed }
+async function getPatternRevisions(groupId) {
+  return readJsonLines(getRevisionIndexPath(groupId));
+}
+
+function parseRevisionContent(content) {
+  try {
+    return parsePatternFile(content);
+  } catch {
+    return { patterns: [], exceptions: [] };
+  }
+}
 
-  for (const groupId of WHITELISTED_GROUP_IDS) {
-    const patterns = await loadGroupPatterns(groupId);
-    groupPatterns.set(groupId, patterns);
-    console.log(`[INIT] Group ${groupId}: loaded ${patterns.length} patterns`);
+// Keep a snapshot of the saved file and record who changed what. The first save of a group
+// also keeps the state it started from, so that change can be undone too.
+async function recordPatternRevision(groupId, previousContent, content, adminId, change) {
+  await fs.mkdir(PATTERN_HISTORY_DIR, { recursive: true });
+  const indexPath = getRevisionIndexPath(groupId);
+  const revisions = await getPatternRevisions(groupId);
+  let rev = revisions.length > 0 ? revisions[revisions.length - 1].rev : 0;
+  
+  if (rev === 0) {
+    rev = 1;
+    await writeFileAtomic(getRevisionFilePath(groupId, rev), previousContent ?? serializePatternFile([]));
+    await appendJsonLine(indexPath, {
+      rev, at: new Date().toISOString(), adminId: null, change: 'state before history', added: [], removed: [], changed: []
+    });
   }
   
-  console.log(`[INIT] Pattern loading complete - ${groupPatterns.size} groups configured`);
+  rev++;
+  const diff = diffPatternSets(parseRevisionContent(previousContent ?? ''), parseRevisionContent(content));
+  await writeFileAtomic(getRevisionFilePath(groupId, rev), content);
+  await appendJsonLine(indexPath, { rev, at: new Date().toISOString(), adminId: adminId || null, change, ...diff });
+  console.log(`[HISTORY] Group ${groupId}: revision #${rev} (${change}) +${diff.added.length} -${diff.removed.length} ~${diff.changed.length}`);
+  
+  if (rev > MAX_PATTERN_REVISIONS) {
+    await fs.unlink(getRevisionFilePath(groupId, rev - MAX_PATTERN_REVISIONS)).catch(err => {
+      if (err.code !== 'ENOENT') console.error(`[HISTORY] Could not delete old revision of group ${groupId}:`, err.message);
+    });
+  }
+  return rev;
 }
 
-async function loadSettings() {
-  console.log(`[SETTINGS] Loading settings from ${SETTINGS_FILE}`);
-  
+// Whether restoring a parsed revision would change the group's exceptions or per-pattern actions
+function rollbackChangesOwnerSettings(groupId, parsed) {
+  const current = parsePatternFile(serializePatternFile(groupPatterns.get(groupId) || [], groupExceptions.get(groupId) || []));
+  const actions = entries => JSON.stringify(entries.filter(entry => entry.action).map(entry => [entry.raw, entry.action]).sort());
+  return JSON.stringify(current.exceptions) !== JSON.stringify(parsed.exceptions) ||
+    actions(current.patterns) !== actions(parsed.patterns);
+}
+
+// Restore a group's patterns and exceptions to a revision. The restore is saved as a new revision.
+async function rollbackPatterns(groupId, rev, adminId) {
+  let parsed;
   try {
-    const data = await fs.readFile(SETTINGS_FILE, 'utf-8');
-    const loadedSettings = JSON.parse(data);
-    settings = {
-      groupActions: {},
-      ...loadedSettings
+    parsed = parsePatternFile(await fs.readFile(getRevisionFilePath(groupId, rev), 'utf-8'));
+  } catch (err) {
+    return {
+      success: false,
+      message: err.code === 'ENOENT'
+        ? `Revision #${rev} of Group ${groupId} does not exist or is no longer kept (only the last ${MAX_PATTERN_REVISIONS} are).`
+        : `Revision #${rev} of Group ${groupId} could not be read: ${err.message}`
     };
-    
-    console.log(`[SETTINGS] Loaded existing settings:`, settings);
-  } catch {
-    console.log(`[SETTINGS] No settings file found or error reading - creating new settings`);
-    settings = {
-      groupActions: {}
+  }
+  
+  // Exceptions and per-pattern actions are owner settings, so editors can only roll back
+  // revisions that leave both as they are now
+  if (!hasGroupRole(adminId, groupId, 'owner') && rollbackChangesOwnerSettings(groupId, parsed)) {
+    return {
+      success: false,
+      message: `Revision #${rev} of Group ${groupId} has different exceptions or per-pattern actions; restoring it needs the owner role.`
     };
   }
   
-  // Ensure all whitelisted groups have settings entries
-  let settingsChanged = false;
-  WHITELISTED_GROUP_IDS.forEach(groupId => {
-    if (!settings.groupActions[groupId]) {
-      settings.groupActions[groupId] = 'kick';
-      settingsChanged = true;
+  const before = groupPatterns.get(groupId) || [];
+  const patterns = validateLoadedPatterns(groupId, parsed.patterns, 'Pattern');
+  const exceptions = validateLoadedPatterns(groupId, parsed.exceptions, 'Exception');
+  groupPatterns.set(groupId, patterns);
+  groupExceptions.set(groupId, exceptions);
+  
+  const newRev = await saveGroupPatterns(groupId, patterns, { adminId, change: `roll back to #${rev}` });
+  await recordAudit(groupId, adminId, `roll back filters to revision #${rev}`, `${before.length} filters`, `${patterns.length} filters`);
+  console.log(`[HISTORY] Admin ${adminId} rolled group ${groupId} back to revision #${rev}`);
+  return {
+    success: true,
+    message: `Group ${groupId} restored to revision #${rev}${newRev ? ` (saved as #${newRev})` : ''}: ${patterns.length} filters, ${exceptions.length} exceptions.`
+  };
+}
+
+// Revisions as HTML, newest first, with the patterns each one added, removed or changed
+function formatPatternRevisions(groupId, revisions) {
+  if (revisions.length === 0) {
+    return `No filter changes recorded for Group ${groupId} yet.`;
+  }
+  let text = `<b>Filter history of Group ${groupId}</b>\n\n`;
+  for (const revision of revisions) {
+    const when = revision.at.slice(0, 16).replace('T', ' ');
+    text += `<b>#${revision.rev}</b> ${when} ${revision.adminId ? `<code>${revision.adminId}</code>` : 'bot'}: ${escapeHtml(revision.change)}\n`;
+    const lines = [
+      ...revision.added.map(raw => `+ ${raw}`),
+      ...revision.removed.map(raw => `- ${raw}`),
+      ...revision.changed.map(raw => `~ ${raw}`)
+    ];
+    for (const line of lines.slice(0, 5)) {
+      text += `  <code>${escapeHtml(line.length > 60 ? `${line.slice(0, 57)}...` : line)}</code>\n`;
+    }
+    if (lines.length > 5) {
+      text += `  ... and ${lines.length - 5} more\n`;
+    }
+  }
+  text += `\nUse /rollback &lt;rev&gt; to restore a revision.`;
+  return text;
+}
+
+// Shared pattern libraries: named pattern sets kept by global admins in library_<name>.toml
+// next to the group files. Groups subscribe to them with the "libraries" group option.
+const LIBRARY_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+function getLibraryFilePath(name) {
+  return path.join(BANNED_PATTERNS_DIR, `library_${name}.toml`);
+}
+
+// How a pattern is named in hits and moderation reports: library patterns carry their library
+function formatPatternSource(pattern) {
+  return pattern.library ? `[${pattern.library}] ${pattern.raw}` : pattern.raw;
+}
+
+async function loadLibraries() {
+  for (const name of Object.keys(settings.libraries)) {
+    const filePath = getLibraryFilePath(name);
+    let entries = [];
+    try {
+      entries = parsePatternFile(await fs.readFile(filePath, 'utf-8')).patterns;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        // Keep a copy of the unreadable file so the next save doesn't destroy the only one
+        await fs.copyFile(filePath, `${filePath}.corrupt-${Date.now()}`).catch(() => {});
+        console.error(`[LIBRARY] Could not read library "${name}": ${err.message}`);
+      }
+    }
+    const patterns = validateLoadedPatterns(`library ${name}`, entries, 'Pattern');
+    patterns.forEach(pattern => { pattern.library = name; });
+    libraryPatterns.set(name, patterns);
+    console.log(`[LIBRARY] Loaded ${patterns.length} patterns for library "${name}"`);
+  }
+}
+
+// Groups subscribed to a library
+function getLibrarySubscribers(name) {
+  return getEnrolledGroups().filter(groupId => getGroupOptions(groupId).libraries.includes(name));
+}
+
+async function saveLibrary(name) {
+  // Every subscribed group's matcher includes the library
+  groupMatchers.clear();
+  try {
+    await writeFileAtomic(getLibraryFilePath(name), serializePatternFile(libraryPatterns.get(name) || []));
+    console.log(`[LIBRARY] Saved library "${name}"`);
+  } catch (err) {
+    console.error(`[LIBRARY] Error writing library "${name}":`, err);
+  }
+}
+
+async function createLibrary(name, adminId) {
+  if (!LIBRARY_NAME_PATTERN.test(name)) {
+    return { success: false, message: 'Library names use lowercase letters, digits and dashes (at most 32), e.g. crypto-scams.' };
+  }
+  if (settings.libraries[name]) {
+    return { success: false, message: `Library "${name}" already exists.` };
+  }
+  settings.libraries[name] = { createdBy: adminId, createdAt: new Date().toISOString() };
+  libraryPatterns.set(name, []);
+  await saveLibrary(name);
+  await saveSettings();
+  await recordLibraryAudit(name, adminId, `create library ${name}`, null, 'created');
+  return { success: true, message: `Created library "${name}". Add patterns with /library add ${name} <pattern>.` };
+}
+
+// Delete a library and unsubscribe every group from it
+async function deleteLibrary(name, adminId) {
+  if (!settings.libraries[name]) {
+    return { success: false, message: `There is no library "${name}".` };
+  }
+  const subscribers = getLibrarySubscribers(name);
+  for (const groupId of subscribers) {
+    await setLibrarySubscription(groupId, name, false, adminId);
+  }
+  delete settings.libraries[name];
+  libraryPatterns.delete(name);
+  groupMatchers.clear();
+  await fs.unlink(getLibraryFilePath(name)).catch(err => {
+    if (err.code !== 'ENOENT') console.error(`[LIBRARY] Could not delete the file of library "${name}":`, err.message);
+  });
+  await saveSettings();
+  await recordLibraryAudit(name, adminId, `delete library ${name}`, 'created', null, subscribers);
+  return { success: true, message: `Deleted library "${name}".` };
+}
+
+async function addLibraryPattern(name, rawPattern, adminId, metadata = {}) {
+  const patterns = libraryPatterns.get(name);
+  if (!patterns) {
+    return { success: false, message: `There is no library "${name}".` };
+  }
+  let patternObj;
+  try {
+    patternObj = createPatternObject(rawPattern, { ...metadata, addedBy: adminId, addedAt: new Date().toISOString() });
+  } catch (err) {
+    return { success: false, message: err.message };
+  }
+  if (patterns.some(p => p.raw === patternObj.raw)) {
+    return { success: false, message: `Pattern "${patternObj.raw}" already exists in library "${name}".` };
+  }
+  if (patterns.length >= 100) {
+    return { success: false, message: `Maximum patterns reached (100 per library).` };
+  }
+  patternObj.library = name;
+  patterns.push(patternObj);
+  await saveLibrary(name);
+  await recordLibraryAudit(name, adminId, `add filter to library ${name}`, null, patternObj.raw);
+  return { success: true, pattern: patternObj, message: `Added filter to library "${name}": "${patternObj.raw}"` };
+}
+
+async function removeLibraryPattern(name, raw, adminId) {
+  const patterns = libraryPatterns.get(name);
+  if (!patterns) {
+    return { success: false, message: `There is no library "${name}".` };
+  }
+  const index = patterns.findIndex(p => p.raw === raw);
+  if (index === -1) {
+    return { success: false, message: `Pattern "${raw}" not found in library "${name}".` };
+  }
+  patterns.splice(index, 1);
+  await saveLibrary(name);
+  await recordLibraryAudit(name, adminId, `remove filter from library ${name}`, raw, null);
+  return { success: true, message: `Removed filter from library "${name}": "${raw}"` };
+}
+
+// Add a group's patterns to a library (duplicates are skipped)
+async function copyGroupToLibrary(name, groupId, adminId) {
+  const patterns = libraryPatterns.get(name);
+  if (!patterns) {
+    return { success: false, message: `There is no library "${name}".` };
+  }
+  const existing = new Set(patterns.map(p => p.raw));
+  const toAdd = (groupPatterns.get(groupId) || [])
+    .filter(pattern => !existing.has(pattern.raw))
+    .slice(0, Math.max(0, 100 - patterns.length));
+  if (toAdd.length === 0) {
+    return { success: false, message: `Nothing to copy: library "${name}" already has Group ${groupId}'s patterns or is full.` };
+  }
+  const addedAt = new Date().toISOString();
+  patterns.push(...toAdd.map(pattern => ({ ...pattern, addedBy: adminId, addedAt, library: name })));
+  await saveLibrary(name);
+  await recordLibraryAudit(name, adminId, `copy filters from Group ${groupId} to library ${name}`, null, toAdd.map(p => p.raw));
+  return { success: true, message: `Copied ${toAdd.length} patterns from Group ${groupId} to library "${name}".` };
+}
+
+async function setLibrarySubscription(groupId, name, subscribed, adminId = null) {
+  const libraries = getGroupOptions(groupId).libraries.filter(library => library !== name);
+  if (subscribed) libraries.push(name);
+  groupMatchers.delete(groupId);
+  await setGroupOption(groupId, 'libraries', libraries, adminId);
+  console.log(`[LIBRARY] Group ${groupId} ${subscribed ? 'subscribed to' : 'unsubscribed from'} library "${name}"`);
+}
+
+// Total hits of each library pattern across all groups
+function getLibraryHitTotals(name) {
+  return (libraryPatterns.get(name) || []).map(pattern => ({
+    pattern,
+    count: getHitStatsForPattern(formatPatternSource(pattern)).reduce((sum, { count }) => sum + count, 0)
+  }));
+}
+
+// Load one group's pattern file into memory
+async function loadGroupIntoMemory(groupId) {
+  const { patterns, exceptions } = await loadGroupPatterns(groupId);
+  groupPatterns.set(groupId, patterns);
+  groupExceptions.set(groupId, exceptions);
+  groupMatchers.delete(groupId);
+  groupExceptionMatchers.delete(groupId);
+  console.log(`[INIT] Group ${groupId}: loaded ${patterns.length} patterns, ${exceptions.length} exceptions`);
+}
+
+async function loadAllGroupPatterns() {
+  console.log(`[INIT] Loading patterns for all enrolled groups`);
+  await ensureBannedPatternsDirectory();
+
+  for (const groupId of getEnrolledGroups()) {
+    await loadGroupIntoMemory(groupId);
+  }
+  
+  console.log(`[INIT] Pattern loading complete - ${groupPatterns.size} groups configured`);
+}
+
+async function loadSettings() {
+  console.log(`[SETTINGS] Loading settings from ${SETTINGS_FILE}`);
+  
+  try {
+    const data = await fs.readFile(SETTINGS_FILE, 'utf-8');
+    const loadedSettings = JSON.parse(data);
+    settings = {
+      groupActions: {},
+      groupOptions: {},
+      enrolledGroupIds: [],
+      removedGroupIds: [],
+      pendingGroups: {},
+      libraries: {},
+      ...loadedSettings
+    };
+    
+    console.log(`[SETTINGS] Loaded existing settings:`, settings);
+  } catch {
+    console.log(`[SETTINGS] No settings file found or error reading - creating new settings`);
+    settings = {
+      groupActions: {},
+      groupOptions: {},
+      enrolledGroupIds: [],
+      removedGroupIds: [],
+      pendingGroups: {},
+      libraries: {}
+    };
+  }
+  applyGroupEnrollment();
+  
+  // Ensure all enrolled groups have settings entries
+  let settingsChanged = false;
+  getEnrolledGroups().forEach(groupId => {
+    if (!settings.groupActions[groupId]) {
+      settings.groupActions[groupId] = 'kick';
+      settingsChanged = true;
       console.log(`[SETTINGS] Created default action for group ${groupId}: ${'kick'}`);
     }
   });
@@ -310,10 +1265,18 @@ async function loadSettings() {
   // Remove settings for groups no longer whitelisted
   Object.keys(settings.groupActions).forEach(groupId => {
     const numericGroupId = parseInt(groupId);
-    if (!WHITELISTED_GROUP_IDS.includes(numericGroupId)) {
+    if (!isGroupEnrolled(numericGroupId)) {
       delete settings.groupActions[groupId];
       settingsChanged = true;
-      console.log(`[SETTINGS] Removed settings for non-whitelisted group ${groupId}`);
+      console.log(`[SETTINGS] Removed settings for non-enrolled group ${groupId}`);
+    }
+  });
+  
+  Object.keys(settings.groupOptions).forEach(groupId => {
+    if (!isGroupEnrolled(parseInt(groupId))) {
+      delete settings.groupOptions[groupId];
+      settingsChanged = true;
+      console.log(`[SETTINGS] Removed options for non-enrolled group ${groupId}`);
     }
   });
   
@@ -328,7 +1291,7 @@ async function saveSettings() {
   console.log(`[SETTINGS] Saving settings to ${SETTINGS_FILE}`);
   
   try {
-    await fs.writeFile(SETTINGS_FILE, JSON.stringify(settings, null, 2));
+    await writeFileAtomic(SETTINGS_FILE, JSON.stringify(settings, null, 2));
     console.log(`[SETTINGS] Settings saved successfully`);
     return true;
   } catch (err) {
@@ -337,6 +1300,159 @@ async function saveSettings() {
   }
 }
 
+// Append a configuration change to the audit log. adminId is null for changes the bot makes
+// itself (expiry, quarantine, being removed from a group).
+async function recordAudit(groupId, adminId, change, before, after) {
+  const entry = {
+    at: new Date().toISOString(),
+    adminId: adminId || null,
+    groupId,
+    change,
+    before: before ?? null,
+    after: after ?? null
+  };
+  try {
+    await appendJsonLine(AUDIT_LOG_FILE, entry);
+    console.log(`[AUDIT] Group ${groupId}: ${change} by ${adminId || 'bot'}`);
+  } catch (err) {
+    console.error(`[AUDIT] Failed to record "${change}" in group ${groupId}:`, err.message);
+  }
+}
+
+// Record a library change in the audit log of every group subscribed to it (groupIds: the
+// subscribers before the change, when it unsubscribes them). Without subscribers it is kept
+// under no group.
+async function recordLibraryAudit(name, adminId, change, before, after, groupIds = getLibrarySubscribers(name)) {
+  for (const groupId of groupIds.length > 0 ? groupIds : [null]) {
+    await recordAudit(groupId, adminId, change, before, after);
+  }
+}
+
+// The most recent audit entries of a group, newest first
+async function getAuditEntries(groupId, limit) {
+  const entries = await readJsonLines(AUDIT_LOG_FILE);
+  return entries.filter(entry => entry.groupId === groupId).slice(-limit).reverse();
+}
+
+function formatAuditValue(value) {
+  if (value === null || value === undefined) return '(none)';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+// Audit entries as HTML, one per line
+function formatAuditEntries(groupId, entries) {
+  if (entries.length === 0) {
+    return `No configuration changes recorded for Group ${groupId}.`;
+  }
+  let text = `<b>Recent changes in Group ${groupId}</b>\n\n`;
+  for (const entry of entries) {
+    const when = entry.at.slice(0, 16).replace('T', ' ');
+    text += `${when} <b>${entry.adminId ? `<code>${entry.adminId}</code>` : 'bot'}</b>: ${escapeHtml(entry.change)}\n` +
+      `  ${escapeHtml(formatAuditValue(entry.before))} → ${escapeHtml(formatAuditValue(entry.after))}\n`;
+  }
+  return text;
+}
+
+// Enrolled groups: the config groups plus those enrolled at runtime, minus those removed at runtime
+function applyGroupEnrollment() {
+  const removed = new Set(settings.removedGroupIds);
+  setEnrolledGroups([...WHITELISTED_GROUP_IDS, ...settings.enrolledGroupIds].filter(groupId => !removed.has(groupId)));
+}
+
+// Enroll a group at runtime: persist it, load its patterns and pick up its admins
+async function enrollGroup(groupId, adminId) {
+  if (isGroupEnrolled(groupId)) {
+    return { success: false, message: `Group ${groupId} is already enrolled.` };
+  }
+  
+  settings.removedGroupIds = settings.removedGroupIds.filter(id => id !== groupId);
+  if (!WHITELISTED_GROUP_IDS.includes(groupId)) {
+    settings.enrolledGroupIds = [...new Set([...settings.enrolledGroupIds, groupId])];
+  }
+  delete settings.pendingGroups[groupId];
+  if (!settings.groupActions[groupId]) {
+    settings.groupActions[groupId] = 'kick';
+  }
+  applyGroupEnrollment();
+  await saveSettings();
+  
+  await ensureBannedPatternsDirectory();
+  await loadGroupIntoMemory(groupId);
+  await forceRefreshAuthCache();
+  console.log(`[ENROLL] Group ${groupId} enrolled by ${adminId}`);
+  await recordAudit(groupId, adminId, 'enroll group', null, 'enrolled');
+  return { success: true, message: `Group ${groupId} enrolled. Its action is ${formatAction(getGroupAction(groupId))}; add patterns in /menu.` };
+}
+
+// Stop working in a group (and drop a pending request for it). The pattern file is kept;
+// settings of groups that are no longer enrolled are dropped on the next start.
+async function removeGroup(groupId, reason, adminId = null) {
+  const wasPending = Boolean(settings.pendingGroups[groupId]);
+  delete settings.pendingGroups[groupId];
+  if (!isGroupEnrolled(groupId)) {
+    if (wasPending) await saveSettings();
+    return { success: false, message: `Group ${groupId} is not enrolled.` };
+  }
+  
+  settings.enrolledGroupIds = settings.enrolledGroupIds.filter(id => id !== groupId);
+  if (WHITELISTED_GROUP_IDS.includes(groupId)) {
+    settings.removedGroupIds = [...new Set([...settings.removedGroupIds, groupId])];
+  }
+  applyGroupEnrollment();
+  await saveSettings();
+  
+  for (const cache of [groupPatterns, groupExceptions, groupMatchers, groupExceptionMatchers]) {
+    cache.delete(groupId);
+  }
+  await forceRefreshAuthCache();
+  console.log(`[ENROLL] Group ${groupId} removed: ${reason}`);
+  await recordAudit(groupId, adminId, 'remove group', 'enrolled', reason);
+  return { success: true, message: `Group ${groupId} removed. Its pattern file is kept.` };
+}
+
+// The bot was added to a group by someone who is not a global admin: ask the global admins.
+// Each user can have one request pending, so adding the bot to many groups doesn't flood them.
+async function requestGroupEnrollment(chat, addedBy) {
+  if (settings.pendingGroups[chat.id]) {
+    console.log(`[ENROLL] Group ${chat.id} is already pending approval - not asking again`);
+    return { success: false, message: 'This group is already waiting for a bot administrator to approve it.' };
+  }
+  const otherRequest = Object.entries(settings.pendingGroups).find(([, request]) => request.requestedBy === addedBy.id);
+  if (otherRequest) {
+    console.log(`[ENROLL] User ${addedBy.id} already has group ${otherRequest[0]} pending - ignoring group ${chat.id}`);
+    return { success: false, message: 'You already have a group waiting for approval. Add me here again once a bot administrator has answered that request.' };
+  }
+  
+  settings.pendingGroups[chat.id] = {
+    title: chat.title || '',
+    requestedBy: addedBy.id,
+    requestedAt: new Date().toISOString()
+  };
+  await saveSettings();
+  console.log(`[ENROLL] Group ${chat.id} is pending approval (added by ${addedBy.id})`);
+  
+  const text = `<b>Enrollment request</b>\n\n` +
+    `Group: ${escapeHtml(chat.title || 'untitled')} (<code>${chat.id}</code>)\n` +
+    `Added by: ${addedBy.username ? `@${escapeHtml(addedBy.username)}` : addedBy.id}`;
+  for (const adminId of WHITELISTED_USER_IDS) {
+    try {
+      await bot.telegram.sendMessage(adminId, text, {
+        parse_mode: 'HTML',
+        reply_markup: {
+          inline_keyboard: [[
+            { text: 'Approve', callback_data: `group_approve_${chat.id}` },
+            { text: 'Reject', callback_data: `group_reject_${chat.id}` }
+          ]]
+        }
+      });
+    } catch (err) {
+      console.log(`[ENROLL] Could not notify global admin ${adminId}: ${err.message}`);
+    }
+  }
+  return { success: true, message: 'Thanks for adding me! A bot administrator has to approve this group before I start monitoring it.' };
+}
+
 // Debounced save function to batch multiple increments
 function debouncedSave() {
   if (saveTimeout) {
@@ -354,7 +1470,7 @@ async function loadHitCounters() {
     const data = await fs.readFile(HIT_COUNTER_FILE, 'utf-8');
     // Add JSON validation
     const parsed = JSON.parse(data);
-    hitCounters = parsed;
+    hitCounters = normalizeHitCounters(parsed);
     console.log(`[HITCOUNTER] Loaded hit counters from disk.`);
   } catch (err) {
     hitCounters = {};
@@ -368,92 +1484,874 @@ async function loadHitCounters() {
       console.error(`[HITCOUNTER] Failed to load:`, err);
     }
   }
+  
+  try {
+    falsePositives = JSON.parse(await fs.readFile(FALSE_POSITIVE_FILE, 'utf-8'));
+    console.log(`[HITCOUNTER] Loaded false positives from disk.`);
+  } catch (err) {
+    falsePositives = {};
+    if (err.code !== 'ENOENT') {
+      console.error(`[HITCOUNTER] Failed to load false positives, starting fresh:`, err.message);
+    }
+  }
+}
+
+async function saveHitCounters() {
+  // Prevent concurrent saves
+  if (saveInProgress) {
+    pendingSave = true;
+    return;
+  }
+  
+  saveInProgress = true;
+  try {
+    const jsonData = JSON.stringify(hitCounters, null, 2);
+    await writeFileAtomic(HIT_COUNTER_FILE, jsonData);
+    await writeFileAtomic(FALSE_POSITIVE_FILE, JSON.stringify(falsePositives, null, 2));
+    console.log(`[HITCOUNTER] Saved hit counters to disk.`);
+  } catch (err) {
+    console.error(`[HITCOUNTER] Failed to save hit counters:`, err);
+  } finally {
+    saveInProgress = false;
+    
+    // If another save was requested while this one was running, do it now
+    if (pendingSave) {
+      pendingSave = false;
+      // Use setTimeout to avoid recursion issues
+      setTimeout(() => saveHitCounters(), 10);
+    }
+  }
+}
+
+// Hour bucket a hit is counted in, e.g. "2026-10-19T09" (UTC)
+function getHourKey(time) {
+  return new Date(time).toISOString().slice(0, 13);
+}
+
+// Drop hourly counts older than HIT_HISTORY_MS (the total keeps them)
+function pruneHitHours(entry) {
+  const oldest = getHourKey(Date.now() - HIT_HISTORY_MS);
+  for (const hour of Object.keys(entry.hours)) {
+    if (hour < oldest) delete entry.hours[hour];
+  }
+}
+
+// Older files hold plain counts per pattern; those only count towards the all-time totals
+function normalizeHitCounters(data) {
+  const counters = {};
+  for (const [groupId, patterns] of Object.entries(data || {})) {
+    counters[groupId] = {};
+    for (const [pattern, value] of Object.entries(patterns || {})) {
+      const entry = typeof value === 'number'
+        ? { total: value, hours: {} }
+        : { total: Number(value?.total) || 0, hours: { ...(value?.hours || {}) } };
+      pruneHitHours(entry);
+      counters[groupId][pattern] = entry;
+    }
+  }
+  return counters;
+}
+
+// Hits of one pattern entry in the last windowMs (all time when null)
+function countHits(entry, windowMs = null) {
+  if (!windowMs) return entry.total;
+  const since = getHourKey(Date.now() - windowMs);
+  return Object.entries(entry.hours)
+    .filter(([hour]) => hour >= since)
+    .reduce((sum, [, count]) => sum + count, 0);
+}
+
+function incrementHitCounter(groupId, patternRaw, time = Date.now()) {
+  if (!groupId || !patternRaw) return;
+  if (!hitCounters[groupId]) hitCounters[groupId] = {};
+  if (!hitCounters[groupId][patternRaw]) hitCounters[groupId][patternRaw] = { total: 0, hours: {} };
+  const entry = hitCounters[groupId][patternRaw];
+  const hour = getHourKey(time);
+  entry.total += 1;
+  entry.hours[hour] = (entry.hours[hour] || 0) + 1;
+  pruneHitHours(entry);
+  
+  // Use debounced save instead of immediate save to prevent race conditions
+  debouncedSave();
+}
+
+// Count a match that an admin reversed against the pattern that caused it
+function recordFalsePositive(groupId, patternRaw) {
+  if (!groupId || !patternRaw) return;
+  if (!falsePositives[groupId]) falsePositives[groupId] = {};
+  falsePositives[groupId][patternRaw] = (falsePositives[groupId][patternRaw] || 0) + 1;
+  console.log(`[HITCOUNTER] False positive recorded for "${patternRaw}" in group ${groupId}`);
+  debouncedSave();
+}
+
+// Top patterns of a group in the last windowMs (all time when null)
+function getHitStatsForGroup(groupId, topN = 5, windowMs = null) {
+  const groupStats = hitCounters[groupId] || {};
+  // Sort by count descending
+  return Object.entries(groupStats)
+    .map(([pattern, entry]) => ({ pattern, count: countHits(entry, windowMs) }))
+    .filter(({ count }) => count > 0)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, topN);
+}
+
+function getHitStatsForPattern(patternRaw, windowMs = null) {
+  // Return all group stats for this pattern
+  const results = [];
+  for (const [groupId, patterns] of Object.entries(hitCounters)) {
+    const count = patterns[patternRaw] ? countHits(patterns[patternRaw], windowMs) : 0;
+    if (count > 0) {
+      results.push({ groupId, count });
+    }
+  }
+  return results;
+}
+
+function getGroupHitTotal(groupId, windowMs = null) {
+  return Object.values(hitCounters[groupId] || {}).reduce((sum, entry) => sum + countHits(entry, windowMs), 0);
+}
+
+function getFalsePositiveCount(groupId, patternRaw) {
+  return falsePositives[groupId]?.[patternRaw] || 0;
+}
+
+// Hit count with false positives and precision, e.g. "12 (2 false, 83% precise)"
+function formatHitCount(count, falseCount) {
+  if (!falseCount) return `<b>${count}</b>`;
+  const precision = Math.round(Math.max(count - falseCount, 0) / count * 100);
+  return `<b>${count}</b> (${falseCount} false, ${precision}% precise)`;
+}
+
+const HIT_WINDOW_LABELS = { '24h': 'last 24 hours', '7d': 'last 7 days', '30d': 'last 30 days', all: 'all time' };
+
+// Top pattern hits of a group as HTML. window is a HIT_WINDOWS key or "all";
+// false positives are only counted all-time, so precision is shown for "all" only.
+function formatGroupHitStats(groupId, window = 'all') {
+  const windowMs = HIT_WINDOWS[window] || null;
+  const stats = getHitStatsForGroup(groupId, 10, windowMs);
+  let text = `<b>Top Pattern Hits in Group ${groupId}</b> (${HIT_WINDOW_LABELS[window]}):\n`;
+  if (stats.length === 0) {
+    return text + 'No pattern hits recorded.';
+  }
+  for (const { pattern, count } of stats) {
+    const falseCount = windowMs ? 0 : getFalsePositiveCount(groupId, pattern);
+    text += `• <code>${escapeHtml(pattern)}</code>: ${formatHitCount(count, falseCount)}\n`;
+  }
+  text += `\n<b>Total matches:</b> ${getGroupHitTotal(groupId, windowMs)}`;
+  const totalFalse = Object.values(falsePositives[groupId] || {}).reduce((a, b) => a + b, 0);
+  if (!windowMs && totalFalse > 0) {
+    text += `\n<b>False positives:</b> ${totalFalse} (reported with /unban --fp)`;
+  }
+  return text;
+}
+
+// One pattern's hits in every group the admin can manage, as HTML
+function formatPatternHitStats(patternRaw, window, adminId) {
+  const windowMs = HIT_WINDOWS[window] || null;
+  const stats = getHitStatsForPattern(patternRaw, windowMs)
+    .filter(({ groupId }) => canManageGroup(adminId, Number(groupId)));
+  if (stats.length === 0) {
+    return `No recorded hits (${HIT_WINDOW_LABELS[window]}) for pattern:\n<code>${escapeHtml(patternRaw)}</code>`;
+  }
+  let text = `Hit counts for pattern <code>${escapeHtml(patternRaw)}</code> (${HIT_WINDOW_LABELS[window]}):\n`;
+  for (const { groupId, count } of stats) {
+    const falseCount = windowMs ? 0 : getFalsePositiveCount(groupId, patternRaw);
+    text += `• Group <b>${groupId}</b>: ${formatHitCount(count, falseCount)} hit(s)\n`;
+  }
+  return text;
+}
+
+// Remember the last action per user and group, so /unban can find the user and pattern
+function recordRecentAction(chatId, userId, username, pattern, type) {
+  const key = `${chatId}_${userId}`;
+  recentActions.delete(key);
+  recentActions.set(key, { chatId, userId, username: username ? String(username) : null, pattern: pattern || null, type, at: Date.now() });
+  if (recentActions.size > MAX_RECENT_ACTIONS) {
+    recentActions.delete(recentActions.keys().next().value);
+  }
+}
+
+// Recorded actions against a user ID or @username, newest first
+function findRecentActions(target) {
+  const userId = parseUserId(target);
+  const username = userId ? null : String(target).trim().replace(/^@/, '').toLowerCase();
+  return [...recentActions.values()]
+    .filter(entry => userId ? entry.userId === userId : entry.username?.toLowerCase() === username)
+    .reverse();
+}
+
+// Delete a message, logging instead of failing (it may already be gone)
+async function deleteMessageQuietly(chatId, messageId, label) {
+  try {
+    await bot.telegram.deleteMessage(chatId, messageId);
+    console.log(`[CLEANUP] Deleted ${label} ${messageId} in chat ${chatId}`);
+  } catch (err) {
+    console.log(`[CLEANUP] Could not delete ${label} ${messageId} in chat ${chatId}: ${err.message}`);
+  }
+}
+
+// Action Handlers
+// Apply the matched pattern's action (or the group's default) to a user.
+// match is the result of isBanned; ctx may be null when there is no triggering update.
+// joinMessageId is the user's join service message when it is not ctx.message itself.
+// user is the Telegram user object, used for the moderation log.
+async function takePunishmentAction(ctx, userId, username, chatId, match = null, { joinMessageId = null, user = null } = {}) {
+  let action;
+  try {
+    action = parseAction(match?.action || getGroupAction(chatId));
+  } catch (err) {
+    console.warn(`[PUNISH] Pattern "${match?.pattern}" has an invalid action - using the group action: ${err.message}`);
+    action = parseAction(getGroupAction(chatId));
+  }
+  
+  if (getGroupOptions(chatId).shadowMode) {
+    await reportShadowAction(chatId, user || { id: userId }, match, action);
+    return false;
+  }
+  
+  // Warn-first actions (and plain warnings) warn, then give the user time to change their name
+  let type = action.type;
+  if (action.warnFirst || type === 'warn') {
+    const key = `${chatId}_${userId}`;
+    const warnedAt = userWarnings.get(key);
+    const sinceWarning = warnedAt ? Date.now() - warnedAt : Infinity;
+    
+    if (sinceWarning < WARNING_GRACE_MS) {
+      console.log(`[PUNISH] User ${userId} in chat ${chatId} was warned ${Math.round(sinceWarning / 1000)}s ago - waiting for a name change`);
+      return false;
+    }
+    if (type === 'warn' || sinceWarning > WARNING_MEMORY_MS) {
+      type = 'warn';
+      userWarnings.set(key, Date.now());
+    } else {
+      userWarnings.delete(key);
+    }
+  }
+  
+  const options = getGroupOptions(chatId);
+  const untilDate = action.durationMs ? Math.floor((Date.now() + action.durationMs) / 1000) : undefined;
+  const revoke = options.revokeMessages && (type === 'ban' || type === 'kick') ? { revoke_messages: true } : {};
+  console.log(`[PUNISH] Taking ${type.toUpperCase()}${type === action.type && action.duration ? ` ${action.duration}` : ''} action against user ${userId} (@${username}) in chat ${chatId}`);
+  
+  try {
+    if (type === 'ban') {
+      await bot.telegram.banChatMember(chatId, userId, { ...(untilDate ? { until_date: untilDate } : {}), ...revoke });
+    } else if (type === 'kick') {
+      await bot.telegram.banChatMember(chatId, userId, { until_date: Math.floor(Date.now() / 1000) + 35, ...revoke });
+    } else if (type === 'mute') {
+      await bot.telegram.restrictChatMember(chatId, userId, {
+        permissions: MUTED_PERMISSIONS,
+        ...(untilDate ? { until_date: untilDate } : {})
+      });
+    }
+    console.log(`[PUNISH] ${type.toUpperCase()} applied to user ${userId} successfully`);
+  } catch (error) {
+    console.error(`[PUNISH] Failed to ${type} user ${userId}:`, error);
+    return false;
+  }
+  recordRecentAction(chatId, userId, user?.username, match?.pattern, type);
+  if (match?.federation) {
+    await recordFederationEnforcement(chatId, userId);
+  } else if (match?.idBan) {
+    if (type === 'ban') await recordUserIdBanEnforcement(chatId, userId);
+  } else if (type === 'ban' && !action.durationMs) {
+    // Federation bans are permanent, so timed bans stay in their own group
+    await addFederationBan(chatId, userId, match?.pattern);
+  }
+  
+  // Warned users keep their messages; they may still change their name
+  if (type !== 'warn') {
+    const trigger = ctx?.message;
+    const joinId = trigger?.new_chat_members ? trigger.message_id : joinMessageId;
+    if (options.deleteJoinMessage && joinId) {
+      await deleteMessageQuietly(chatId, joinId, 'join message');
+    }
+    if (options.deleteTriggerMessage && trigger && !trigger.new_chat_members && !revoke.revoke_messages) {
+      await deleteMessageQuietly(chatId, trigger.message_id, 'triggering message');
+    }
+  }
+  
+  await postModerationLog(chatId, user || { id: userId }, match, {
+    type,
+    spec: type === action.type ? action.spec : 'warn'
+  });
+  
+  try {
+    const hasDuration = type === action.type && (type === 'ban' || type === 'mute');
+    await announceAction(chatId, type, {
+      userId,
+      name: String(username),
+      pattern: match?.pattern || '',
+      action: ACTION_PAST_TENSE[type],
+      duration: hasDuration ? (action.duration || 'permanent') : ''
+    });
+  } catch (error) {
+    console.error(`[PUNISH] Failed to announce ${type} of user ${userId}:`, error);
+  }
+  return true;
+}
+
+// Moderation log text for an action: heading, user and the match that caused it
+function formatModerationReport(chatId, user, match, heading) {
+  const displayName = [user.first_name, user.last_name].filter(Boolean).join(' ');
+  let text = `<b>${escapeHtml(heading)}</b> in Group ${chatId}\n\n`;
+  text += `User: <a href="tg://user?id=${user.id}">${escapeHtml(displayName || String(user.id))}</a>\n`;
+  text += `ID: <code>${user.id}</code>\n`;
+  text += `Username: ${user.username ? `@${escapeHtml(user.username)}` : 'none'}\n`;
+  if (match) {
+    text += `Pattern: <code>${escapeHtml(match.pattern)}</code>\n`;
+    text += `Matched: ${escapeHtml(match.label)} <code>${escapeHtml(match.tested)}</code>\n`;
+  }
+  return text;
+}
+
+// Post an action to the group's moderation log chat, with buttons to undo it or exempt the user
+async function postModerationLog(chatId, user, match, { type, spec }) {
+  const logChatId = getGroupOptions(chatId).logChatId;
+  if (!logChatId) return;
+  
+  const text = formatModerationReport(chatId, user, match, formatAction(spec));
+  const buttons = [];
+  if (type === 'ban' || type === 'kick') {
+    buttons.push({ text: 'Unban', callback_data: `log_unban_${chatId}_${user.id}` });
+  } else if (type === 'mute') {
+    buttons.push({ text: 'Unmute', callback_data: `log_unmute_${chatId}_${user.id}` });
+  }
+  if (type !== 'warn' && match) {
+    buttons.push({ text: 'False positive', callback_data: `log_fp_${chatId}_${user.id}` });
+  }
+  buttons.push({ text: 'Exempt user', callback_data: `log_exempt_${chatId}_${user.id}` });
+  
+  try {
+    await bot.telegram.sendMessage(logChatId, text, {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: [buttons] }
+    });
+    console.log(`[MODLOG] Logged ${type} of user ${user.id} in group ${chatId} to ${logChatId}`);
+  } catch (err) {
+    console.error(`[MODLOG] Could not post to log chat ${logChatId} for group ${chatId}: ${err.message}`);
+  }
+}
+
+// Shadow mode: report what would have been done to the log chat, or to the group's admins
+// when there is none. Each user is reported at most once per SHADOW_REPORT_MS.
+async function reportShadowAction(chatId, user, match, action) {
+  const key = `${chatId}_${user.id}`;
+  const reportedAt = shadowReports.get(key);
+  if (reportedAt && Date.now() - reportedAt < SHADOW_REPORT_MS) {
+    console.log(`[SHADOW] User ${user.id} in chat ${chatId} already reported - skipping`);
+    return;
+  }
+  shadowReports.set(key, Date.now());
+  for (const [reportKey, time] of shadowReports) {
+    if (Date.now() - time >= SHADOW_REPORT_MS) shadowReports.delete(reportKey);
+  }
+  
+  console.log(`[SHADOW] Would have taken ${action.spec.toUpperCase()} action against user ${user.id} in chat ${chatId}`);
+  const text = formatModerationReport(chatId, user, match, `Shadow mode: would ${formatAction(action.spec)}`) +
+    `\nNo action was taken. Switch the group to enforcing in /menu.`;
+  const extra = {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: [[{ text: 'Exempt user', callback_data: `log_exempt_${chatId}_${user.id}` }]] }
+  };
+  
+  const logChatId = getGroupOptions(chatId).logChatId;
+  for (const recipient of logChatId ? [logChatId] : getGroupManagers(chatId)) {
+    try {
+      await bot.telegram.sendMessage(recipient, text, extra);
+    } catch (err) {
+      console.log(`[SHADOW] Could not report to ${recipient}: ${err.message}`);
+    }
+  }
+}
+
+// Point a group's moderation log at a chat ("off" disables it). The bot has to be able to
+// post there, so a test message is sent first.
+async function setLogChat(groupId, input, adminId = null) {
+  if (input.trim().toLowerCase() === 'off') {
+    await setGroupOption(groupId, 'logChatId', null, adminId);
+    return { success: true, message: `Moderation log disabled for Group ${groupId}.` };
+  }
+  
+  const logChatId = Number(input.trim());
+  if (!Number.isSafeInteger(logChatId) || logChatId === 0) {
+    return { success: false, message: `"${input}" is not a chat ID. Run /chatinfo in a group to see its ID; channel IDs start with -100.` };
+  }
+  
+  try {
+    await bot.telegram.sendMessage(logChatId, `Moderation log for Group ${groupId} connected.`);
+  } catch (err) {
+    console.log(`[MODLOG] Cannot post to ${logChatId}: ${err.message}`);
+    return { success: false, message: `Cannot post to chat ${logChatId}: ${err.message}. Add the bot there (as an admin for channels) first.` };
+  }
+  
+  await setGroupOption(groupId, 'logChatId', logChatId, adminId);
+  return { success: true, message: `Moderation log for Group ${groupId} set to chat ${logChatId}.` };
+}
+
+// Lift a ban/kick or a mute
+async function undoAction(chatId, userId, type) {
+  if (type === 'mute') {
+    const chat = await bot.telegram.getChat(chatId);
+    await bot.telegram.restrictChatMember(chatId, userId, { permissions: chat.permissions || {} });
+  } else {
+    await bot.telegram.unbanChatMember(chatId, userId, { only_if_banned: true });
+  }
+  userWarnings.delete(`${chatId}_${userId}`);
+  console.log(`[UNDO] Lifted ${type} of user ${userId} in group ${chatId}`);
+}
+
+// Reverse the bot's last action against a user in a group, optionally exempting them and
+// counting a false positive against the pattern that matched. Returns what was done.
+async function reverseAction(groupId, userId, { exempt = false, falsePositive = false, adminId = null } = {}) {
+  const key = `${groupId}_${userId}`;
+  const recorded = recentActions.get(key);
+  const type = recorded?.type === 'mute' ? 'mute' : 'ban';
+  await undoAction(groupId, userId, type);
+  
+  const done = [type === 'mute' ? 'unmuted' : 'unbanned'];
+  if (falsePositive && recorded?.pattern) {
+    recordFalsePositive(groupId, recorded.pattern);
+    done.push(`false positive counted for ${recorded.pattern}`);
+  }
+  if (exempt && (await setUserExempt(groupId, userId, true, adminId)).success) {
+    done.push('exempted');
+  }
+  if (type === 'ban') {
+    const notes = [await releaseFederationBan(groupId, userId, adminId), await releaseUserIdBan(groupId, userId, adminId)];
+    done.push(...notes.filter(Boolean));
+  }
+  recentActions.delete(key);
+  return done;
+}
+
+// Federation: groups with the "federation" option share one banlist of user IDs. A ban in
+// one of them bans the user on join in the others.
+function getFederationGroups() {
+  return getEnrolledGroups().filter(groupId => getGroupOptions(groupId).federation);
+}
+
+async function loadFederationBans() {
+  try {
+    federationBans = JSON.parse(await fs.readFile(FEDERATION_BANS_FILE, 'utf-8'));
+    console.log(`[FEDERATION] Loaded ${Object.keys(federationBans).length} federation bans`);
+  } catch (err) {
+    federationBans = {};
+    if (err.code !== 'ENOENT') {
+      console.error(`[FEDERATION] Failed to load the federation banlist, starting empty:`, err.message);
+    }
+  }
+}
+
+async function saveFederationBans() {
+  try {
+    await writeFileAtomic(FEDERATION_BANS_FILE, JSON.stringify(federationBans, null, 2));
+  } catch (err) {
+    console.error(`[FEDERATION] Error writing the federation banlist:`, err);
+  }
+}
+
+// Put a user permanently banned in a federation group on the shared banlist
+async function addFederationBan(groupId, userId, pattern) {
+  if (!getGroupOptions(groupId).federation || federationBans[userId]) return;
+  federationBans[userId] = { groupId, pattern: pattern || null, bannedAt: new Date().toISOString(), enforcedIn: [], liftedIn: [] };
+  await saveFederationBans();
+  await recordAudit(groupId, null, 'federation ban', null, { userId, pattern: pattern || null });
+  console.log(`[FEDERATION] User ${userId} banned in group ${groupId} added to the federation banlist`);
+}
+
+// The match for a user on the federation banlist joining a federation group, or null
+function getFederationMatch(groupId, userId) {
+  const entry = federationBans[userId];
+  if (!entry || entry.groupId === groupId || entry.liftedIn?.includes(groupId) ||
+      !getGroupOptions(groupId).federation || isUserExempt(groupId, userId)) {
+    return null;
+  }
+  console.log(`[FEDERATION] User ${userId} is on the federation banlist (banned in group ${entry.groupId})`);
+  return {
+    pattern: `federation ban from Group ${entry.groupId}${entry.pattern ? ` (${entry.pattern})` : ''}`,
+    federation: true,
+    action: 'ban',
+    field: 'id',
+    label: 'user ID',
+    tested: String(userId)
+  };
+}
+
+async function recordFederationEnforcement(groupId, userId) {
+  const entry = federationBans[userId];
+  if (!entry) return;
+  if (!entry.enforcedIn.includes(groupId)) {
+    entry.enforcedIn.push(groupId);
+    await saveFederationBans();
+  }
+  await recordAudit(groupId, null, 'enforce federation ban', null, { userId, bannedIn: entry.groupId });
+}
+
+// A group's admins unbanned a user on the federation banlist. Where the ban started, the user
+// comes off the banlist but stays banned in the groups that enforced it, whose own admins decide
+// (only /fedunban lifts a ban everywhere); elsewhere the group stops enforcing it. Returns a note
+// for the admin, or null.
+async function releaseFederationBan(groupId, userId, adminId) {
+  const entry = federationBans[userId];
+  if (!entry) return null;
+  
+  if (entry.groupId === groupId) {
+    delete federationBans[userId];
+    await saveFederationBans();
+    await recordAudit(groupId, adminId, 'remove from federation banlist', { userId, pattern: entry.pattern }, null);
+    console.log(`[FEDERATION] User ${userId} removed from the federation banlist in group ${groupId} by ${adminId || 'bot'}`);
+    return 'removed from the federation banlist' +
+      (entry.enforcedIn.length > 0 ? ` (still banned in Group ${entry.enforcedIn.join(', ')}, where it was enforced)` : '');
+  }
+  
+  entry.enforcedIn = entry.enforcedIn.filter(id => id !== groupId);
+  entry.liftedIn = [...(entry.liftedIn || []).filter(id => id !== groupId), groupId];
+  await saveFederationBans();
+  await recordAudit(groupId, adminId, 'lift federation ban in group', { userId, bannedIn: entry.groupId }, null);
+  console.log(`[FEDERATION] Federation ban of user ${userId} no longer enforced in group ${groupId}`);
+  return `no longer banned here by the federation (banned in Group ${entry.groupId}; /fedunban lifts it everywhere)`;
+}
+
+// Remove a user from the federation banlist and lift the ban where it was made or enforced
+async function liftFederationBan(userId, adminId) {
+  const entry = federationBans[userId];
+  if (!entry) {
+    return { success: false, message: `User ${userId} is not on the federation banlist.` };
+  }
+  delete federationBans[userId];
+  await saveFederationBans();
+  
+  const failed = [];
+  for (const groupId of [entry.groupId, ...entry.enforcedIn]) {
+    try {
+      await undoAction(groupId, userId, 'ban');
+    } catch (err) {
+      console.error(`[FEDERATION] Could not unban user ${userId} in group ${groupId}: ${err.message}`);
+      failed.push(groupId);
+    }
+    recentActions.delete(`${groupId}_${userId}`);
+  }
+  await recordAudit(entry.groupId, adminId, 'federation unban', { userId, pattern: entry.pattern }, null);
+  console.log(`[FEDERATION] User ${userId} removed from the federation banlist by ${adminId || 'bot'}`);
+  return {
+    success: true,
+    message: `User ${userId} removed from the federation banlist and unbanned in Group ${[entry.groupId, ...entry.enforcedIn].join(', ')}.` +
+      (failed.length > 0 ? ` Unbanning failed in: ${failed.join(', ')}.` : '')
+  };
+}
+
+// User ID banlist: users admins banned by ID, rejected on join and on their next message no
+// matter what their name is. Entries apply to one group or, under "global", to all groups.
+async function loadBannedUserIds() {
+  try {
+    const loaded = JSON.parse(await fs.readFile(BANNED_IDS_FILE, 'utf-8'));
+    bannedUserIds = { global: loaded.global || {}, groups: loaded.groups || {} };
+    console.log(`[BANID] Loaded ${Object.keys(bannedUserIds.global).length} global and ${Object.values(bannedUserIds.groups).reduce((sum, ids) => sum + Object.keys(ids).length, 0)} group user ID bans`);
+  } catch (err) {
+    bannedUserIds = { global: {}, groups: {} };
+    if (err.code !== 'ENOENT') {
+      console.error(`[BANID] Failed to load the user ID banlist, starting empty:`, err.message);
+    }
+  }
+}
+
+async function saveBannedUserIds() {
+  try {
+    await writeFileAtomic(BANNED_IDS_FILE, JSON.stringify(bannedUserIds, null, 2));
+  } catch (err) {
+    console.error(`[BANID] Error writing the user ID banlist:`, err);
+  }
+}
+
+// The user ID ban that applies to a user in a group, or null
+function getUserIdBan(groupId, userId) {
+  return bannedUserIds.global[userId] || bannedUserIds.groups[groupId]?.[userId] || null;
+}
+
+// The match for a banned user ID, or null. Group admins can't be banned.
+function getUserIdBanMatch(groupId, userId) {
+  const entry = getUserIdBan(groupId, userId);
+  if (!entry || isGroupManager(userId, groupId)) return null;
+  console.log(`[BANID] User ${userId} is on the user ID banlist of group ${groupId}`);
+  return {
+    pattern: `banned user ID${entry.note ? ` (${entry.note})` : ''}`,
+    idBan: true,
+    action: 'ban',
+    field: 'id',
+    label: 'user ID',
+    tested: String(userId)
+  };
+}
+
+// Add a user ID to a group's banlist (groupId null: every group) and ban the user there now
+async function addUserIdBan(groupId, userId, adminId, note = null) {
+  const list = groupId ? (bannedUserIds.groups[groupId] ||= {}) : bannedUserIds.global;
+  const scope = groupId ? `Group ${groupId}` : 'all groups';
+  if (list[userId]) {
+    return { success: false, message: `User ${userId} is already banned by ID in ${scope}.` };
+  }
+  const entry = { addedBy: adminId, addedAt: new Date().toISOString(), note, enforcedIn: [] };
+  list[userId] = entry;
+  // A global ban goes in the audit log of every group it applies to
+  for (const auditGroupId of groupId ? [groupId] : getEnrolledGroups()) {
+    await recordAudit(auditGroupId, adminId, `ban user ID${groupId ? '' : ' in all groups'}`, null, { userId, note });
+  }
+  
+  const failed = [];
+  for (const targetGroupId of groupId ? [groupId] : getEnrolledGroups()) {
+    try {
+      await bot.telegram.banChatMember(targetGroupId, userId);
+      // A ban the bot already made for another reason is not the ID ban's to lift
+      if (!isBannedForOtherReason(targetGroupId, userId)) entry.enforcedIn.push(targetGroupId);
+    } catch (err) {
+      console.log(`[BANID] Could not ban user ${userId} in group ${targetGroupId} now: ${err.message}`);
+      failed.push(targetGroupId);
+    }
+  }
+  await saveBannedUserIds();
+  console.log(`[BANID] User ${userId} banned by ID in ${scope} by ${adminId}`);
+  return {
+    success: true,
+    message: `User ${userId} banned by ID in ${scope}.` +
+      (failed.length > 0 ? ` Banning right away failed in Group ${failed.join(', ')} (the user is still rejected on join and on their next message).` : '')
+  };
+}
+
+async function removeUserIdBan(groupId, userId, adminId) {
+  const list = groupId ? bannedUserIds.groups[groupId] : bannedUserIds.global;
+  const scope = groupId ? `Group ${groupId}` : 'all groups';
+  if (!list?.[userId]) {
+    return { success: false, message: `User ${userId} is not banned by ID in ${scope}.` };
+  }
+  const entry = list[userId];
+  delete list[userId];
+  await saveBannedUserIds();
+  for (const auditGroupId of groupId ? [groupId] : getEnrolledGroups()) {
+    await recordAudit(auditGroupId, adminId, `unban user ID${groupId ? '' : ' in all groups'}`, { userId, note: entry.note }, null);
+  }
+  
+  // Only where the ID ban was the reason; bans for a name or from the federation stay
+  for (const targetGroupId of entry.enforcedIn) {
+    try {
+      await undoAction(targetGroupId, userId, 'ban');
+    } catch (err) {
+      console.log(`[BANID] Could not unban user ${userId} in group ${targetGroupId}: ${err.message}`);
+    }
+    recentActions.delete(`${targetGroupId}_${userId}`);
+  }
+  console.log(`[BANID] User ${userId} unbanned by ID in ${scope} by ${adminId}`);
+  return { success: true, message: `User ${userId} is no longer banned by ID in ${scope}.` };
+}
+
+// Whether the bot banned a user in a group for a name or from the federation
+function isBannedForOtherReason(groupId, userId) {
+  const federation = federationBans[userId];
+  return recentActions.get(`${groupId}_${userId}`)?.type === 'ban' ||
+    Boolean(federation && (federation.groupId === groupId || federation.enforcedIn.includes(groupId)));
+}
+
+async function recordUserIdBanEnforcement(groupId, userId) {
+  const entry = getUserIdBan(groupId, userId);
+  if (!entry || entry.enforcedIn.includes(groupId)) return;
+  entry.enforcedIn.push(groupId);
+  await saveBannedUserIds();
+}
+
+// A group's admins unbanned a user: drop the group's ID ban too, or say that a global one still
+// applies. Returns a note for the admin, or null.
+async function releaseUserIdBan(groupId, userId, adminId) {
+  const entry = bannedUserIds.groups[groupId]?.[userId];
+  if (entry) {
+    delete bannedUserIds.groups[groupId][userId];
+    await saveBannedUserIds();
+    await recordAudit(groupId, adminId, 'unban user ID', { userId, note: entry.note }, null);
+    console.log(`[BANID] User ${userId} unbanned by ID in group ${groupId} by ${adminId || 'bot'}`);
+    return 'removed from the user ID banlist';
+  }
+  if (bannedUserIds.global[userId]) {
+    return 'still banned by ID in all groups, so banned again on their next message (/unbanid --global lifts it)';
+  }
+  return null;
 }
 
-async function saveHitCounters() {
-  // Prevent concurrent saves
-  if (saveInProgress) {
-    pendingSave = true;
-    return;
+// The user ID bans that apply to a group, as text
+function formatUserIdBans(groupId) {
+  const lines = [
+    ...Object.entries(bannedUserIds.global).map(([userId, entry]) => ({ userId, entry, scope: 'all groups' })),
+    ...Object.entries(bannedUserIds.groups[groupId] || {}).map(([userId, entry]) => ({ userId, entry, scope: `Group ${groupId}` }))
+  ].map(({ userId, entry, scope }) =>
+    `${userId} (${scope}, by ${entry.addedBy} on ${entry.addedAt.slice(0, 10)}${entry.note ? `: ${entry.note}` : ''})`);
+  return lines.length > 0 ? `Banned user IDs in Group ${groupId}:\n${lines.join('\n')}` : `No user IDs are banned in Group ${groupId}.`;
+}
+
+// Buttons on moderation log posts: log_<unban|unmute|fp|exempt>_<groupId>_<userId>
+async function handleLogButton(ctx) {
+  const [, command, groupIdText, userIdText] = ctx.callbackQuery.data.split('_');
+  const groupId = parseInt(groupIdText);
+  const userId = parseInt(userIdText);
+  
+  // Lifting an action needs the editor role, exempting a user the owner role
+  const role = command === 'exempt' ? 'owner' : 'editor';
+  if (!hasGroupRole(ctx.from.id, groupId, role)) {
+    console.log(`[MODLOG] User ${ctx.from.id} is not ${role} of group ${groupId} - ignoring ${command}`);
+    return ctx.answerCbQuery(`You need the ${role} role in this group.`);
   }
   
-  saveInProgress = true;
+  let result;
   try {
-    const jsonData = JSON.stringify(hitCounters, null, 2);
-    await fs.writeFile(HIT_COUNTER_FILE, jsonData);
-    console.log(`[HITCOUNTER] Saved hit counters to disk.`);
-  } catch (err) {
-    console.error(`[HITCOUNTER] Failed to save hit counters:`, err);
-  } finally {
-    saveInProgress = false;
-    
-    // If another save was requested while this one was running, do it now
-    if (pendingSave) {
-      pendingSave = false;
-      // Use setTimeout to avoid recursion issues
-      setTimeout(() => saveHitCounters(), 10);
+    if (command === 'exempt') {
+      result = (await setUserExempt(groupId, userId, true, ctx.from.id)).message;
+    } else if (command === 'fp') {
+      const done = await reverseAction(groupId, userId, { falsePositive: true, adminId: ctx.from.id });
+      result = `User ${userId} ${done.join(', ')} in Group ${groupId}.`;
+    } else {
+      await undoAction(groupId, userId, command === 'unmute' ? 'mute' : 'ban');
+      const notes = command === 'unban'
+        ? [await releaseFederationBan(groupId, userId, ctx.from.id), await releaseUserIdBan(groupId, userId, ctx.from.id)].filter(Boolean)
+        : [];
+      result = `User ${userId} ${[command === 'unmute' ? 'unmuted' : 'unbanned', ...notes].join(', ')} in Group ${groupId}.`;
     }
+  } catch (err) {
+    console.error(`[MODLOG] ${command} of user ${userId} in group ${groupId} failed:`, err);
+    return ctx.answerCbQuery(`Failed: ${err.message}`);
+  }
+  
+  console.log(`[MODLOG] ${ctx.from.id} pressed ${command} for user ${userId} in group ${groupId}`);
+  await ctx.answerCbQuery(result);
+  
+  // Drop the button that was used and note who used it
+  const keyboard = ctx.callbackQuery.message?.reply_markup?.inline_keyboard || [];
+  const remaining = keyboard.map(row => row.filter(button => button.callback_data !== ctx.callbackQuery.data)).filter(row => row.length > 0);
+  try {
+    await ctx.editMessageReplyMarkup({ inline_keyboard: remaining });
+    await ctx.reply(`${result} (by ${ctx.from.username ? `@${ctx.from.username}` : ctx.from.id})`, {
+      reply_to_message_id: ctx.callbackQuery.message.message_id
+    });
+  } catch (err) {
+    console.log(`[MODLOG] Could not update log message: ${err.message}`);
   }
 }
 
-function incrementHitCounter(groupId, patternRaw) {
-  if (!groupId || !patternRaw) return;
-  if (!hitCounters[groupId]) hitCounters[groupId] = {};
-  if (!hitCounters[groupId][patternRaw]) hitCounters[groupId][patternRaw] = 0;
-  hitCounters[groupId][patternRaw] += 1;
+// Validate a pattern and add it to a group's block list (or exception list)
+// metadata: { note, expiresAt, scope } from parseFilterInput; author and date are recorded here
+async function addGroupPattern(groupId, rawPattern, adminId, metadata = {}, { exception = false } = {}) {
+  const store = exception ? groupExceptions : groupPatterns;
+  const kind = exception ? 'exception' : 'filter';
+  // Adding a filter needs editor, but choosing what it does is an owner's decision (see /setFilterAction)
+  if (metadata.action && !hasGroupRole(adminId, groupId, 'owner')) {
+    return { success: false, message: `Setting a pattern's action (--action) needs the owner role in Group ${groupId}.` };
+  }
+  let patternObj;
+  try {
+    patternObj = createPatternObject(rawPattern, {
+      ...metadata,
+      addedBy: adminId,
+      addedAt: new Date().toISOString()
+    });
+  } catch (err) {
+    console.log(`[ADD] Rejected pattern "${rawPattern}" for group ${groupId}: ${err.message}`);
+    return { success: false, message: err.message };
+  }
   
-  // Use debounced save instead of immediate save to prevent race conditions
-  debouncedSave();
+  const patterns = store.get(groupId) || [];
+  
+  if (patterns.some(p => p.raw === patternObj.raw)) {
+    console.log(`[ADD] ${kind} already exists: "${patternObj.raw}"`);
+    return { success: false, message: `Pattern "${patternObj.raw}" already exists.` };
+  }
+  
+  if (patterns.length >= 100) {
+    console.log(`[ADD] Maximum ${kind}s reached for group ${groupId}`);
+    return { success: false, message: `Maximum ${kind}s reached (100 per group).` };
+  }
+  
+  patterns.push(patternObj);
+  store.set(groupId, patterns);
+  await saveGroupPatterns(groupId, groupPatterns.get(groupId) || [], { adminId, change: `add ${kind}` });
+  
+  console.log(`[ADD] Added ${kind} "${patternObj.raw}" to group ${groupId}${patternObj.warnings.length ? ` with ${patternObj.warnings.length} warning(s)` : ''}`);
+  await recordAudit(groupId, adminId, `add ${kind}`, null, patternObj.raw);
+  return { success: true, pattern: patternObj, message: `Added ${kind}: "${patternObj.raw}"` };
 }
 
-function getHitStatsForGroup(groupId, topN = 5) {
-  const groupStats = hitCounters[groupId] || {};
-  // Sort by count descending
-  return Object.entries(groupStats)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, topN)
-    .map(([pattern, count]) => ({ pattern, count }));
+// Remove a block pattern by its exact text
+async function removeGroupPattern(groupId, raw, adminId = null) {
+  const patterns = groupPatterns.get(groupId) || [];
+  const index = patterns.findIndex(p => p.raw === raw);
+  if (index === -1) {
+    console.log(`[REMOVE] Pattern not found: "${raw}" in group ${groupId}`);
+    return { success: false, message: `Filter "${raw}" not found in Group ${groupId}.` };
+  }
+  
+  patterns.splice(index, 1);
+  groupPatterns.set(groupId, patterns);
+  await saveGroupPatterns(groupId, patterns, { adminId, change: 'remove filter' });
+  console.log(`[REMOVE] Removed pattern "${raw}" from group ${groupId}`);
+  await recordAudit(groupId, adminId, 'remove filter', raw, null);
+  return { success: true, message: `Filter removed: "${raw}" from Group ${groupId}` };
 }
 
-function getHitStatsForPattern(patternRaw) {
-  // Return all group stats for this pattern
-  const results = [];
-  for (const [groupId, patterns] of Object.entries(hitCounters)) {
-    if (patterns[patternRaw]) {
-      results.push({ groupId, count: patterns[patternRaw] });
-    }
+// Remove an exception pattern by its exact text
+async function removeGroupException(groupId, raw, adminId = null) {
+  const exceptions = groupExceptions.get(groupId) || [];
+  const index = exceptions.findIndex(p => p.raw === raw);
+  if (index === -1) {
+    console.log(`[REMOVE] Exception not found: "${raw}" in group ${groupId}`);
+    return { success: false, message: `Exception "${raw}" not found in Group ${groupId}.` };
   }
-  return results;
+  
+  exceptions.splice(index, 1);
+  await saveGroupPatterns(groupId, groupPatterns.get(groupId) || [], { adminId, change: 'remove exception' });
+  console.log(`[REMOVE] Removed exception "${raw}" from group ${groupId}`);
+  await recordAudit(groupId, adminId, 'remove exception', raw, null);
+  return { success: true, message: `Exception removed: "${raw}" from Group ${groupId}` };
 }
 
-// Action Handlers
-async function takePunishmentAction(ctx, userId, username, chatId) {
-  const action = getGroupAction(chatId);
-  const isBan = action === 'ban';
+// Add or remove a user ID on a group's exempt list
+async function setUserExempt(groupId, userId, exempt, adminId = null) {
+  const exemptUserIds = getGroupOptions(groupId).exemptUserIds;
+  if (exemptUserIds.includes(userId) === exempt) {
+    return { success: false, message: `User ${userId} is ${exempt ? 'already' : 'not'} exempt in Group ${groupId}.` };
+  }
   
-  console.log(`[PUNISH] Taking ${action.toUpperCase()} action against user ${userId} (@${username}) in chat ${chatId}`);
+  await setGroupOption(groupId, 'exemptUserIds', exempt
+    ? [...exemptUserIds, userId]
+    : exemptUserIds.filter(id => id !== userId), adminId);
+  console.log(`[EXEMPT] User ${userId} ${exempt ? 'exempted in' : 'no longer exempt in'} group ${groupId}`);
+  return { success: true, message: `User ${userId} ${exempt ? 'is now exempt' : 'is no longer exempt'} in Group ${groupId}.` };
+}
+
+// Parse a Telegram user ID typed by an admin
+function parseUserId(input) {
+  const userId = Number(String(input).trim());
+  return Number.isSafeInteger(userId) && userId > 0 ? userId : null;
+}
+
+// Exception patterns and exempt users of a group as text
+function formatExceptionList(groupId, { html = true } = {}) {
+  const exceptions = groupExceptions.get(groupId) || [];
+  const exemptUserIds = getGroupOptions(groupId).exemptUserIds;
   
-  try {
-    if (isBan) {
-      await ctx.banChatMember(userId);
-    } else {
-      await ctx.banChatMember(userId, { until_date: Math.floor(Date.now() / 1000) + 35 });
-    }
-    const message = getRandomMessage(userId, isBan);
-    await ctx.reply(message);
-    console.log(`[PUNISH] ${isBan ? 'Banned' : 'Kicked'} user ${userId} successfully`);
-    return true;
-  } catch (error) {
-    console.error(`[PUNISH] Failed to ${isBan ? 'ban' : 'kick'} user ${userId}:`, error);
-    return false;
-  }
+  let text = exceptions.length > 0
+    ? exceptions.map((p, index) => formatPatternLine(p, index, { html })).join('\n')
+    : 'No exception patterns.';
+  text += `\n\nExempt users: ${exemptUserIds.length > 0 ? exemptUserIds.join(', ') : 'none'}`;
+  text += `\nGroup admins are always exempt.`;
+  return text;
+}
+
+// Explain why an accepted pattern might still be slow
+function formatPatternWarnings(patternObj) {
+  if (!patternObj.warnings || patternObj.warnings.length === 0) return '';
+  return `\n\nWarning - this regex may be slow:\n${patternObj.warnings.map(w => `- ${w}`).join('\n')}`;
 }
 
 // Get all patterns from all groups for browsing/copying
 function getAllGroupPatterns() {
   const allPatterns = new Map();
   
-  WHITELISTED_GROUP_IDS.forEach(groupId => {
+  getEnrolledGroups().forEach(groupId => {
     const patterns = groupPatterns.get(groupId) || [];
     if (patterns.length > 0) {
       allPatterns.set(groupId, patterns);
@@ -464,7 +2362,7 @@ function getAllGroupPatterns() {
 }
 
 // Copy patterns from one group to another
-async function copyPatternsToGroup(sourceGroupId, targetGroupId, patternIndices = null) {
+async function copyPatternsToGroup(sourceGroupId, targetGroupId, patternIndices = null, adminId = null) {
   console.log(`[COPY] Copying patterns from group ${sourceGroupId} to group ${targetGroupId}`);
   
   const sourcePatterns = groupPatterns.get(sourceGroupId) || [];
@@ -489,6 +2387,9 @@ async function copyPatternsToGroup(sourceGroupId, targetGroupId, patternIndices
   
   let addedCount = 0;
   let skippedCount = 0;
+  let droppedActions = 0;
+  // Per-pattern actions are only copied in by owners of the target group, like /setFilterAction
+  const keepActions = hasGroupRole(adminId, targetGroupId, 'owner');
   
   for (const pattern of patternsToCopy) {
     // Check if pattern already exists
@@ -499,7 +2400,14 @@ async function copyPatternsToGroup(sourceGroupId, targetGroupId, patternIndices
         break;
       }
       
-      targetPatterns.push(pattern);
+      // Keep the note and expiry, but record who copied it into this group and when
+      if (pattern.action && !keepActions) droppedActions++;
+      targetPatterns.push({
+        ...pattern,
+        ...(keepActions ? {} : { action: null }),
+        addedBy: adminId,
+        addedAt: new Date().toISOString()
+      });
       addedCount++;
       console.log(`[COPY] Added pattern: "${pattern.raw}"`);
     } else {
@@ -510,7 +2418,8 @@ async function copyPatternsToGroup(sourceGroupId, targetGroupId, patternIndices
   
   if (addedCount > 0) {
     groupPatterns.set(targetGroupId, targetPatterns);
-    await saveGroupPatterns(targetGroupId, targetPatterns);
+    await saveGroupPatterns(targetGroupId, targetPatterns, { adminId, change: `copy filters from Group ${sourceGroupId}` });
+    await recordAudit(targetGroupId, adminId, `copy filters from Group ${sourceGroupId}`, null, targetPatterns.slice(-addedCount).map(p => p.raw));
   }
   
   console.log(`[COPY] Copy complete: ${addedCount} added, ${skippedCount} skipped`);
@@ -519,12 +2428,116 @@ async function copyPatternsToGroup(sourceGroupId, targetGroupId, patternIndices
     success: true,
     added: addedCount,
     skipped: skippedCount,
-    message: `Copied ${addedCount} patterns (${skippedCount} duplicates skipped)`
+    message: `Copied ${addedCount} patterns (${skippedCount} duplicates skipped)` +
+      (droppedActions > 0 ? `. ${droppedActions} per-pattern action(s) were not copied: that needs the owner role in Group ${targetGroupId}` : '')
+  };
+}
+
+// Sort the entries of an uploaded pattern file into what an import would add, what the group
+// already has, what fails validation and what doesn't fit in the group's 100 patterns.
+// Per-pattern actions are only kept for owners of the group, as with /setFilterAction.
+function buildImportPreview(groupId, entries, adminId) {
+  const { valid, errors } = validatePatterns(entries);
+  const keepActions = hasGroupRole(adminId, groupId, 'owner');
+  let droppedActions = 0;
+  const invalid = errors.map(({ pattern, error }) => ({ raw: pattern, error }));
+  const groupPatternList = groupPatterns.get(groupId) || [];
+  const seen = new Set(groupPatternList.map(p => p.raw));
+  const toAdd = [];
+  const duplicates = [];
+  
+  for (const pattern of valid) {
+    if (pattern.action && !keepActions) {
+      pattern.action = null;
+      droppedActions++;
+    }
+    if (pattern.action) {
+      try {
+        pattern.action = parseAction(pattern.action).spec;
+      } catch (err) {
+        invalid.push({ raw: pattern.raw, error: err.message });
+        continue;
+      }
+    }
+    if (seen.has(pattern.raw)) {
+      duplicates.push(pattern);
+    } else {
+      seen.add(pattern.raw);
+      toAdd.push(pattern);
+    }
+  }
+  
+  const room = Math.max(0, 100 - groupPatternList.length);
+  return { toAdd: toAdd.slice(0, room), overLimit: toAdd.slice(room), duplicates, invalid, droppedActions };
+}
+
+function formatImportPreview(groupId, fileName, preview, ignoredExceptions) {
+  const list = (items, formatItem) => {
+    let text = items.slice(0, 10).map(item => `  ${formatItem(item)}\n`).join('');
+    if (items.length > 10) text += `  ... and ${items.length - 10} more\n`;
+    return text;
+  };
+  const shorten = (value, max) => value.length > max ? `${value.slice(0, max - 3)}...` : value;
+  const rawItem = pattern => `<code>${escapeHtml(shorten(pattern.raw, 60))}</code>`;
+  
+  let text = `<b>Import preview for Group ${groupId}</b>\nFile: ${escapeHtml(fileName)}\n\n`;
+  text += `<b>Will be added (${preview.toAdd.length}):</b>\n${list(preview.toAdd, rawItem)}`;
+  if (preview.duplicates.length > 0) {
+    text += `\n<b>Already in the group (${preview.duplicates.length}):</b>\n${list(preview.duplicates, rawItem)}`;
+  }
+  if (preview.invalid.length > 0) {
+    text += `\n<b>Invalid (${preview.invalid.length}):</b>\n${list(preview.invalid, item => `${rawItem(item)}: ${escapeHtml(shorten(item.error, 100))}`)}`;
+  }
+  if (preview.overLimit.length > 0) {
+    text += `\n<b>Over the limit of 100 patterns (${preview.overLimit.length}):</b>\n${list(preview.overLimit, rawItem)}`;
+  }
+  if (ignoredExceptions > 0) {
+    text += `\n${ignoredExceptions} exception pattern(s) in the file are not imported.\n`;
+  }
+  if (preview.droppedActions > 0) {
+    text += `\n${preview.droppedActions} per-pattern action(s) in the file are dropped: setting them needs the owner role in Group ${groupId}. These patterns use the group's action.\n`;
+  }
+  text += preview.toAdd.length > 0 ? `\nNothing is saved until you confirm.` : `\nThere is nothing to import.`;
+  return text;
+}
+
+// Add the patterns of a confirmed import preview to a group in one save
+async function importPatterns(groupId, patterns, adminId, fileName) {
+  const targetPatterns = groupPatterns.get(groupId) || [];
+  const existing = new Set(targetPatterns.map(p => p.raw));
+  // The group may have changed since the preview was shown
+  const toAdd = patterns
+    .filter(pattern => !existing.has(pattern.raw))
+    .slice(0, Math.max(0, 100 - targetPatterns.length));
+  
+  if (toAdd.length === 0) {
+    return { success: false, message: `Nothing imported: Group ${groupId} already has these patterns or is full.` };
+  }
+  
+  // Keep the metadata from the file, but record who imported it into this group and when
+  const addedAt = new Date().toISOString();
+  const keepActions = hasGroupRole(adminId, groupId, 'owner');
+  targetPatterns.push(...toAdd.map(pattern => ({
+    ...pattern,
+    ...(keepActions ? {} : { action: null }),
+    addedBy: adminId,
+    addedAt
+  })));
+  groupPatterns.set(groupId, targetPatterns);
+  await saveGroupPatterns(groupId, targetPatterns, { adminId, change: `import ${fileName}` });
+  await recordAudit(groupId, adminId, `import filters from ${fileName}`, null, toAdd.map(p => p.raw));
+  
+  console.log(`[IMPORT] Imported ${toAdd.length} patterns from "${fileName}" into group ${groupId}`);
+  const skipped = patterns.length - toAdd.length;
+  return {
+    success: true,
+    message: `Imported ${toAdd.length} patterns into Group ${groupId}${skipped > 0 ? ` (${skipped} skipped: added meanwhile or over the limit)` : ''}.`
   };
 }
 
 // User Monitoring
-function monitorNewUser(chatId, user) {
+// joinMessageId is the join service message, deleted if the user is acted on later
+function monitorNewUser(chatId, user, joinMessageId = null) {
   const key = `${chatId}_${user.id}`;
   console.log(`[MONITOR] Starting name change monitoring for user ${user.id} in chat ${chatId}`);
   
@@ -539,26 +2552,18 @@ function monitorNewUser(chatId, user) {
       const firstName = chatMember.user.first_name;
       const lastName = chatMember.user.last_name;
       const displayName = [firstName, lastName].filter(Boolean).join(' ');
+      rememberMemberName(chatId, chatMember.user);
       
       console.log(`[MONITOR] Current name: @${username || 'no_username'}, Display: ${displayName}`);
       
-      if (await isBanned(username, firstName, lastName, chatId)) {
-        const action = getGroupAction(chatId);
-        const isBan = action === 'ban';
-        
-        console.log(`[MONITOR] User ${user.id} matched pattern - taking action: ${action.toUpperCase()}`);
-        
-        if (isBan) {
-          await bot.telegram.banChatMember(chatId, user.id);
-        } else {
-          await bot.telegram.banChatMember(chatId, user.id, { until_date: Math.floor(Date.now() / 1000) + 35 });
-        }
-        const message = getRandomMessage(user.id, isBan);
-        await bot.telegram.sendMessage(chatId, message);
+      const match = await isBanned(username, firstName, lastName, chatId, user.id);
+      if (match) {
+        console.log(`[MONITOR] User ${user.id} matched pattern - taking action`);
+        await takePunishmentAction(null, user.id, displayName || username || user.id, chatId, match, { joinMessageId, user: chatMember.user });
         
         clearInterval(interval);
         delete newJoinMonitors[key];
-        console.log(`[MONITOR] Monitoring stopped - user ${user.id} was ${action}ned`);
+        console.log(`[MONITOR] Monitoring stopped - user ${user.id} was acted on`);
         return;
       }
       
@@ -590,12 +2595,12 @@ async function showMainMenu(ctx) {
   let manageableGroups = [];
   
   if (isGlobalAdmin) {
-    manageableGroups = WHITELISTED_GROUP_IDS;
+    manageableGroups = getEnrolledGroups();
     session.isGlobalAdmin = true;
     console.log(`[MENU] Global admin - can manage all groups: ${manageableGroups.join(', ')}`);
   } else {
     // Group admin - can only manage their authorized group
-    if (session.authorizedGroupId && WHITELISTED_GROUP_IDS.includes(session.authorizedGroupId)) {
+    if (session.authorizedGroupId && isGroupEnrolled(session.authorizedGroupId)) {
       manageableGroups = [session.authorizedGroupId];
       console.log(`[MENU] Group admin - can manage group: ${session.authorizedGroupId}`);
     } else {
@@ -614,6 +2619,7 @@ async function showMainMenu(ctx) {
   const selectedGroupId = session.selectedGroupId;
   const patterns = groupPatterns.get(selectedGroupId) || [];
   const groupAction = getGroupAction(selectedGroupId);
+  const groupOptions = getGroupOptions(selectedGroupId);
 
   let text = `<b>Admin Menu</b>\n`;
   
@@ -624,16 +2630,46 @@ async function showMainMenu(ctx) {
   }
   
   text += `Selected Group: ${selectedGroupId}\n`;
+  text += `Your role: ${getGroupRole(adminId, selectedGroupId) || 'none'}\n`;
   text += `Patterns: ${patterns.length}/100\n`;
-  text += `Action: ${groupAction.toUpperCase()}\n\n`;
+  const quarantinedCount = patterns.filter(p => p.quarantined).length;
+  if (quarantinedCount > 0) {
+    text += `Quarantined: ${quarantinedCount} (too slow, not checked)\n`;
+  }
+  const disabledCount = patterns.filter(p => p.enabled === false).length;
+  if (disabledCount > 0) {
+    text += `Disabled/expired: ${disabledCount}\n`;
+  }
+  if (groupOptions.libraries.length > 0) {
+    text += `Libraries: ${groupOptions.libraries.map(name => `${name} (${(libraryPatterns.get(name) || []).length})`).join(', ')}\n`;
+  }
+  const exceptionCount = (groupExceptions.get(selectedGroupId) || []).length;
+  text += `Exceptions: ${exceptionCount}, exempt users: ${groupOptions.exemptUserIds.length}\n`;
+  text += `Action: ${formatAction(groupAction)}\n`;
+  text += `Leetspeak folding: ${groupOptions.foldLeetspeak ? 'ON' : 'OFF'}\n`;
+  text += `Mode: ${groupOptions.shadowMode ? 'SHADOW (only reporting matches)' : 'Enforcing'}\n`;
+  text += `Federation: ${groupOptions.federation ? `ON (${getFederationGroups().length} groups, ${Object.keys(federationBans).length} banned users)` : 'OFF'}\n`;
+  text += `Log chat: ${groupOptions.logChatId || 'OFF'}\n`;
+  text += `Cleanup: ${Object.entries(CLEANUP_TOGGLES).map(([key, label]) => `${label.toLowerCase()} ${groupOptions[key] ? 'ON' : 'OFF'}`).join(', ')}\n\n`;
   text += `Use the buttons below to manage filters.`;
 
+  // Offer to undo this admin's last filter change while nobody has saved over it
+  let undoRevision = null;
+  if (session.undoRevision?.groupId === selectedGroupId && hasGroupRole(adminId, selectedGroupId, 'editor')) {
+    const revisions = await getPatternRevisions(selectedGroupId);
+    if (revisions.length > 0 && revisions[revisions.length - 1].rev === session.undoRevision.rev) {
+      undoRevision = revisions[revisions.length - 1];
+    } else {
+      session.undoRevision = undefined;
+    }
+  }
+
   // Create group selection buttons (only for groups user can manage)
   const keyboard = { reply_markup: { inline_keyboard: [] } };
   
   if (manageableGroups.length > 1) {
     const groupButtons = manageableGroups.map(groupId => ({
-      text: `${groupId === selectedGroupId ? '✓ ' : ''}Group ${groupId} (${getGroupAction(groupId).toUpperCase()})`,
+      text: `${groupId === selectedGroupId ? '✓ ' : ''}Group ${groupId} (${formatAction(getGroupAction(groupId))})`,
       callback_data: `select_group_${groupId}`
     }));
 
@@ -645,6 +2681,12 @@ async function showMainMenu(ctx) {
     keyboard.reply_markup.inline_keyboard.push(...groupRows);
   }
 
+  if (undoRevision) {
+    keyboard.reply_markup.inline_keyboard.push([
+      { text: `Undo last change (${undoRevision.change})`, callback_data: 'menu_undo' }
+    ]);
+  }
+
   // Add management buttons
   keyboard.reply_markup.inline_keyboard.push(
     [
@@ -656,14 +2698,38 @@ async function showMainMenu(ctx) {
       { text: 'Browse & Copy', callback_data: 'menu_browsePatterns' }
     ],
     [
-      { text: `Action: ${groupAction.toUpperCase()}`, callback_data: 'menu_toggleAction' },
+      { text: `Action: ${formatAction(groupAction)}`, callback_data: 'menu_toggleAction' },
       { text: 'Test Pattern', callback_data: 'menu_testPattern' }
     ],
     [
-      { text: 'Pattern Help', callback_data: 'menu_patternHelp' },
+      { text: `Leetspeak: ${groupOptions.foldLeetspeak ? 'ON' : 'OFF'}`, callback_data: 'menu_toggleLeetspeak' },
+      { text: 'Exceptions', callback_data: 'menu_exceptions' }
+    ],
+    Object.entries(CLEANUP_TOGGLES).map(([key, label]) => ({
+      text: `${label}: ${groupOptions[key] ? 'ON' : 'OFF'}`,
+      callback_data: `toggle_option_${key}`
+    })),
+    [
+      { text: `Announcements${groupOptions.silentAnnouncements ? ': SILENT' : ''}`, callback_data: 'menu_announcements' },
+      { text: `Log chat: ${groupOptions.logChatId ? 'ON' : 'OFF'}`, callback_data: 'menu_logChat' }
+    ],
+    [
+      { text: `Mode: ${groupOptions.shadowMode ? 'SHADOW' : 'Enforcing'}`, callback_data: 'menu_toggleShadow' },
+      { text: 'Stats', callback_data: 'menu_stats' }
+    ],
+    [
+      { text: `Federation: ${groupOptions.federation ? 'ON' : 'OFF'}`, callback_data: 'menu_toggleFederation' },
+      { text: 'Pattern Help', callback_data: 'menu_patternHelp' }
+    ],
+    [
       { text: 'Switch Group', callback_data: 'menu_switchGroup' }
     ]
   );
+  keyboard.reply_markup.inline_keyboard.push([
+    { text: 'Audit Log', callback_data: 'menu_audit' },
+    { text: 'Refresh Admins', callback_data: 'menu_refreshAdmins' },
+    ...(isGlobalAdmin ? [{ text: 'Groups', callback_data: 'menu_groups' }] : [])
+  ]);
 
   adminSessions.set(adminId, session);
 
@@ -710,7 +2776,10 @@ async function showPatternBrowsingMenu(ctx) {
       {
         parse_mode: 'HTML',
         reply_markup: { 
-          inline_keyboard: [[{ text: 'Back to Menu', callback_data: 'menu_back' }]] 
+          inline_keyboard: [
+            [{ text: 'Shared Libraries', callback_data: 'menu_libraries' }],
+            [{ text: 'Back to Menu', callback_data: 'menu_back' }]
+          ] 
         }
       }
     );
@@ -749,9 +2818,12 @@ async function showPatternBrowsingMenu(ctx) {
     text += `<i>Only your group has patterns. Other groups will appear here once they add patterns.</i>\n\n`;
   }
   
-  keyboard.reply_markup.inline_keyboard.push([
-    { text: 'Back to Menu', callback_data: 'menu_back' }
-  ]);
+  text += `Copies are one-time. Subscribe to a shared library to get its new patterns automatically.`;
+  
+  keyboard.reply_markup.inline_keyboard.push(
+    [{ text: 'Shared Libraries', callback_data: 'menu_libraries' }],
+    [{ text: 'Back to Menu', callback_data: 'menu_back' }]
+  );
   
   await showOrEditMenu(ctx, text, {
     parse_mode: 'HTML',
@@ -759,6 +2831,150 @@ async function showPatternBrowsingMenu(ctx) {
   });
 }
 
+async function showExceptionsMenu(ctx) {
+  console.log(`[MENU] Showing exceptions menu for admin ${ctx.from.id}`);
+  
+  const session = adminSessions.get(ctx.from.id);
+  const groupId = session.selectedGroupId;
+  
+  const text = `<b>Exceptions for Group ${groupId}</b>\n` +
+    `Checked before the filters: matching users and exempt user IDs are never acted on.\n\n` +
+    formatExceptionList(groupId);
+  
+  await showOrEditMenu(ctx, text, {
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: 'Add Exception', callback_data: 'menu_addException' },
+          { text: 'Remove Exception', callback_data: 'menu_removeException' }
+        ],
+        [
+          { text: 'Exempt User', callback_data: 'menu_exemptUser' },
+          { text: 'Unexempt User', callback_data: 'menu_unexemptUser' }
+        ],
+        [{ text: 'Back to Menu', callback_data: 'menu_back' }]
+      ]
+    }
+  });
+}
+
+// Announcement settings: silent mode, auto-delete and a template per action type
+async function showAnnouncementsMenu(ctx) {
+  console.log(`[MENU] Showing announcements menu for admin ${ctx.from.id}`);
+  
+  const session = adminSessions.get(ctx.from.id);
+  const groupId = session.selectedGroupId;
+  const options = getGroupOptions(groupId);
+  
+  let text = `<b>Announcements for Group ${groupId}</b>\n\n`;
+  text += `Silent mode: ${options.silentAnnouncements ? 'ON - nothing is posted' : 'OFF'}\n`;
+  text += `Auto-delete: ${options.announcementDeleteSeconds > 0 ? `after ${options.announcementDeleteSeconds}s` : 'OFF'}\n\n`;
+  for (const type of Object.keys(ACTION_PAST_TENSE)) {
+    const template = options.announcementTemplates[type];
+    text += `<b>${type.toUpperCase()}:</b> ${template ? `<code>${escapeHtml(template)}</code>` : '<i>built-in messages</i>'}\n`;
+  }
+  text += `\nPlaceholders:\n`;
+  text += Object.entries(ANNOUNCEMENT_PLACEHOLDERS).map(([name, description]) => `• <code>{${name}}</code> - ${description}`).join('\n');
+  
+  await showOrEditMenu(ctx, text, {
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: `Silent: ${options.silentAnnouncements ? 'ON' : 'OFF'}`, callback_data: 'menu_toggleSilent' },
+          { text: `Auto-delete: ${options.announcementDeleteSeconds > 0 ? `${options.announcementDeleteSeconds}s` : 'OFF'}`, callback_data: 'menu_announceDelete' }
+        ],
+        Object.keys(ACTION_PAST_TENSE).map(type => ({ text: `Edit ${type}`, callback_data: `edit_template_${type}` })),
+        [{ text: 'Back to Menu', callback_data: 'menu_back' }]
+      ]
+    }
+  });
+}
+
+// Chooser for the selected group's default action
+async function showActionMenu(ctx) {
+  console.log(`[MENU] Showing action menu for admin ${ctx.from.id}`);
+  
+  const session = adminSessions.get(ctx.from.id);
+  const groupId = session.selectedGroupId;
+  const action = parseAction(getGroupAction(groupId));
+  
+  const text = `<b>Action for Group ${groupId}</b>\n\n` +
+    `Current: <b>${formatAction(action.spec)}</b>\n\n` +
+    `• <b>Warn</b> - post a warning only\n` +
+    `• <b>Mute</b> - the user stays but can't send anything\n` +
+    `• <b>Kick</b> - removed, may rejoin right away\n` +
+    `• <b>Ban</b> - removed and can't rejoin until the ban ends\n\n` +
+    `With <b>Warn first</b>, the first match only warns; a match after ${WARNING_GRACE_MS / 60000} minutes applies the action.\n\n` +
+    `Individual filters can override this with <code>--action</code>. Use /setaction for other durations, e.g. <code>/setaction mute 45m</code>.`;
+  
+  const presetButtons = ACTION_PRESETS.map(preset => {
+    const spec = action.warnFirst && preset !== 'warn' ? `warn ${preset}` : preset;
+    return {
+      text: `${spec === action.spec ? '✓ ' : ''}${formatAction(preset)}`,
+      callback_data: `set_action_${spec.replace(/ /g, '_')}`
+    };
+  });
+  const keyboard = [];
+  for (let i = 0; i < presetButtons.length; i += 2) {
+    keyboard.push(presetButtons.slice(i, i + 2));
+  }
+  keyboard.push(
+    [{ text: `Warn first: ${action.warnFirst ? 'ON' : 'OFF'}`, callback_data: 'menu_toggleWarnFirst' }],
+    [{ text: 'Back to Menu', callback_data: 'menu_back' }]
+  );
+  
+  await showOrEditMenu(ctx, text, { parse_mode: 'HTML', reply_markup: { inline_keyboard: keyboard } });
+}
+
+// Enrolled and pending groups, for global admins
+async function showGroupsMenu(ctx, notice = '') {
+  console.log(`[MENU] Showing groups menu for admin ${ctx.from.id}`);
+  
+  const enrolled = getEnrolledGroups();
+  const pending = Object.entries(settings.pendingGroups);
+  let text = notice ? `${escapeHtml(notice)}\n\n` : '';
+  text += `<b>Enrolled Groups</b>\n`;
+  text += enrolled.length > 0
+    ? enrolled.map(groupId => `• <code>${groupId}</code>${WHITELISTED_GROUP_IDS.includes(groupId) ? ' (config)' : ''}`).join('\n')
+    : 'None.';
+  text += `\n\n<b>Pending Requests</b>\n`;
+  text += pending.length > 0
+    ? pending.map(([groupId, request]) => `• ${escapeHtml(request.title || 'untitled')} (<code>${groupId}</code>), added by ${request.requestedBy}`).join('\n')
+    : 'None.';
+  text += `\n\nAdding the bot to a group enrolls it; removing the bot (or Remove below) unenrolls it.`;
+  
+  const keyboard = [
+    ...pending.map(([groupId]) => [
+      { text: `Approve ${groupId}`, callback_data: `group_approve_${groupId}` },
+      { text: `Reject ${groupId}`, callback_data: `group_reject_${groupId}` }
+    ]),
+    ...enrolled.map(groupId => [{ text: `Remove ${groupId}`, callback_data: `group_remove_${groupId}` }]),
+    [{ text: 'Back to Menu', callback_data: 'menu_back' }]
+  ];
+  await showOrEditMenu(ctx, text, { parse_mode: 'HTML', reply_markup: { inline_keyboard: keyboard } });
+}
+
+// Hit counts of the selected group's filters for one time window
+async function showStatsMenu(ctx, window = 'all') {
+  console.log(`[MENU] Showing stats (${window}) for admin ${ctx.from.id}`);
+  
+  const groupId = adminSessions.get(ctx.from.id).selectedGroupId;
+  await showOrEditMenu(ctx, formatGroupHitStats(groupId, window), {
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [
+        Object.keys(HIT_WINDOW_LABELS).map(key => ({
+          text: `${key === window ? '✓ ' : ''}${key === 'all' ? 'All time' : key}`,
+          callback_data: `stats_window_${key}`
+        })),
+        [{ text: 'Back to Menu', callback_data: 'menu_back' }]
+      ]
+    }
+  });
+}
+
 async function showGroupSelectionMenu(ctx) {
   console.log(`[MENU] Showing group selection menu for admin ${ctx.from.id}`);
   
@@ -769,9 +2985,9 @@ async function showGroupSelectionMenu(ctx) {
   let manageableGroups = [];
   
   if (isGlobalAdmin) {
-    manageableGroups = WHITELISTED_GROUP_IDS;
+    manageableGroups = getEnrolledGroups();
   } else {
-    if (session.authorizedGroupId && WHITELISTED_GROUP_IDS.includes(session.authorizedGroupId)) {
+    if (session.authorizedGroupId && isGroupEnrolled(session.authorizedGroupId)) {
       manageableGroups = [session.authorizedGroupId];
     }
   }
@@ -795,7 +3011,7 @@ async function showGroupSelectionMenu(ctx) {
     
     text += `<b>Group ${groupId}</b>\n`;
     text += `• Patterns: ${patterns.length}/100\n`;
-    text += `• Action: ${action.toUpperCase()}\n`;
+    text += `• Action: ${formatAction(action)}\n`;
     text += `${isSelected ? '• <i>Currently Selected</i>' : ''}\n\n`;
     
     keyboard.reply_markup.inline_keyboard.push([{
@@ -867,7 +3083,7 @@ async function showGroupPatternsForCopy(ctx, sourceGroupId) {
   }
   
   const isOwnGroup = sourceGroupId === targetGroupId;
-  const canManageTarget = canManageGroup(adminId, targetGroupId);
+  const canManageTarget = hasGroupRole(adminId, targetGroupId, 'editor');
   
   let text = `<b>Group ${sourceGroupId} Patterns</b>\n`;
   
@@ -885,7 +3101,7 @@ async function showGroupPatternsForCopy(ctx, sourceGroupId) {
   
   // Show all patterns with numbers
   sourcePatterns.forEach((pattern, index) => {
-    text += `${index + 1}. <code>${pattern.raw}</code>\n`;
+    text += `${formatPatternLine(pattern, index)}\n`;
   });
   
   const keyboard = { reply_markup: { inline_keyboard: [] } };
@@ -913,6 +3129,58 @@ async function showGroupPatternsForCopy(ctx, sourceGroupId) {
   });
 }
 
+// Shared libraries with the selected group's subscriptions
+async function showLibrariesMenu(ctx, notice = '') {
+  const adminId = ctx.from.id;
+  const groupId = adminSessions.get(adminId).selectedGroupId;
+  const subscribed = getGroupOptions(groupId).libraries;
+  const names = Object.keys(settings.libraries).sort();
+  
+  let text = notice ? `${escapeHtml(notice)}\n\n` : '';
+  text += `<b>Shared Libraries</b>\nSelected Group: ${groupId}\n\n`;
+  if (names.length === 0) {
+    text += `No libraries yet. Global admins create them with /library create &lt;name&gt;.`;
+  } else {
+    text += `A subscribed group is checked against the library's patterns as they change, along with its own.\n\n`;
+    for (const name of names) {
+      const count = (libraryPatterns.get(name) || []).length;
+      text += `${subscribed.includes(name) ? '✓ ' : ''}<b>${name}</b>: ${count} patterns, ${getLibrarySubscribers(name).length} group(s) subscribed\n`;
+    }
+  }
+  
+  const canSubscribe = hasGroupRole(adminId, groupId, 'editor');
+  const keyboard = names.map(name => [
+    { text: `View ${name}`, callback_data: `library_view_${name}` },
+    ...(canSubscribe ? [{
+      text: subscribed.includes(name) ? 'Unsubscribe' : 'Subscribe',
+      callback_data: `library_toggle_${name}`
+    }] : [])
+  ]);
+  keyboard.push([{ text: 'Back to Browse', callback_data: 'menu_browsePatterns' }]);
+  
+  await showOrEditMenu(ctx, text, { parse_mode: 'HTML', reply_markup: { inline_keyboard: keyboard } });
+}
+
+// A library's patterns with their hits across all groups, as HTML
+function formatLibraryPatterns(name) {
+  const totals = getLibraryHitTotals(name);
+  let text = `<b>Library ${name}</b> (${totals.length} patterns)\n\n`;
+  totals.forEach(({ pattern, count }, index) => {
+    text += `${formatPatternLine(pattern, index)}\n    ${count} hit(s) in all groups\n`;
+  });
+  if (totals.length === 0) {
+    text += `No patterns yet.`;
+  }
+  return text;
+}
+
+async function showLibraryPatterns(ctx, name) {
+  await showOrEditMenu(ctx, formatLibraryPatterns(name), {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: [[{ text: 'Back to Libraries', callback_data: 'menu_libraries' }]] }
+  });
+}
+
 // Show or edit a menu-like message (used for prompts)
 async function showOrEditMenu(ctx, text, extra) {
   if (ctx.chat.type !== 'private') return;
@@ -978,7 +3246,10 @@ async function promptForPattern(ctx, actionLabel) {
   const groupId = session.selectedGroupId;
 
   const promptText = 
-    `<b>Add Pattern for Group ${groupId}</b>\n\n` +
+    (actionLabel === 'Add Exception'
+      ? `<b>Add Exception for Group ${groupId}</b>\n` +
+        `Users matching an exception are never acted on, even if a filter matches them.\n\n`
+      : `<b>Add Pattern for Group ${groupId}</b>\n\n`) +
     
     `<b>Pattern Types:</b>\n\n` +
     
@@ -997,7 +3268,17 @@ async function promptForPattern(ctx, actionLabel) {
     `   • Format: <code>/pattern/flags</code>\n` +
     `   • <code>/^spam.*$/i</code> starts with "spam"\n` +
     `   • <code>/\\d{5,}/</code> 5+ digits in a row\n` +
-    `   • <code>/ch[!1i]ld/i</code> "child", "ch!ld", "ch1ld"\n\n` +
+    `   • <code>/ch[!1i]ld/i</code> "child", "ch!ld", "ch1ld"\n` +
+    `   • Regexes that can backtrack catastrophically, like <code>(a+)+</code> or <code>(a|a)*</code>, are rejected\n\n` +
+    
+    `<b>Options</b> (after the pattern):\n` +
+    `   • <code>--note scam wave Oct 2026</code> - reminder of why it was added\n` +
+    `   • <code>--expires 30d</code> or <code>--expires 2026-11-01</code> - disable automatically\n` +
+    `   • <code>--scope username</code> - only check part of the profile: <code>username</code>, <code>display</code>, ` +
+    `<code>compact</code> (name without spaces/quotes), <code>name</code> (display + compact), <code>bio</code> or <code>all</code>; ` +
+    `combine with commas (default: username and names, not bio)\n` +
+    `   • <code>--action ban</code> - override the group action for this pattern: ` +
+    `<code>warn</code>, <code>mute 1h</code>, <code>kick</code>, <code>ban 7d</code>, <code>warn ban</code>...\n\n` +
     
     `<b>Examples:</b>\n` +
     `• <code>ranger</code> - blocks substring "ranger"\n` +
@@ -1089,13 +3370,81 @@ if (input.toLowerCase() === '/cancel') {
       await showMainMenu(ctx);
       return;
     }
+    
+    const requiredRole = SESSION_ACTION_ROLES[session.action] || 'viewer';
+    if (!hasGroupRole(adminId, groupId, requiredRole)) {
+      await ctx.reply(describeRoleDenial(adminId, groupId, requiredRole));
+      session.action = undefined;
+      adminSessions.set(adminId, session);
+      await showMainMenu(ctx);
+      return;
+    }
 
     let patterns = groupPatterns.get(groupId) || [];
 
     if (session.action === 'Add Filter') {
-      // ... existing add filter logic
+      let result;
+      try {
+        const { pattern, metadata } = parseFilterInput(input);
+        result = await addGroupPattern(groupId, pattern, adminId, metadata);
+      } catch (err) {
+        result = { success: false, message: err.message };
+      }
+      if (result.success) {
+        await ctx.reply(`${result.message} to Group ${groupId}${formatPatternWarnings(result.pattern)}`);
+      } else {
+        await ctx.reply(`Could not add filter: ${result.message}`);
+      }
+    } else if (session.action === 'Add Exception') {
+      let result;
+      try {
+        const { pattern, metadata } = parseFilterInput(input);
+        result = await addGroupPattern(groupId, pattern, adminId, metadata, { exception: true });
+      } catch (err) {
+        result = { success: false, message: err.message };
+      }
+      if (result.success) {
+        await ctx.reply(`${result.message} to Group ${groupId}${formatPatternWarnings(result.pattern)}`);
+      } else {
+        await ctx.reply(`Could not add exception: ${result.message}`);
+      }
+    } else if (session.action === 'Remove Exception') {
+      const result = await removeGroupException(groupId, input, adminId);
+      await ctx.reply(result.message);
+    } else if (session.action === 'Exempt User' || session.action === 'Unexempt User') {
+      const userId = parseUserId(input);
+      if (!userId) {
+        await ctx.reply(`"${input}" is not a user ID.`);
+      } else {
+        const result = await setUserExempt(groupId, userId, session.action === 'Exempt User', adminId);
+        await ctx.reply(result.message);
+      }
+    } else if (session.action === 'Set Log Chat') {
+      const result = await setLogChat(groupId, input, adminId);
+      await ctx.reply(result.message);
+    } else if (session.action === 'Edit Template') {
+      const type = session.templateType;
+      const templates = { ...getGroupOptions(groupId).announcementTemplates };
+      const error = input.toLowerCase() === 'default' ? null : validateAnnouncementTemplate(input);
+      if (error) {
+        await ctx.reply(`Could not save template: ${error}`);
+      } else {
+        if (input.toLowerCase() === 'default') {
+          delete templates[type];
+        } else {
+          templates[type] = input;
+        }
+        await setGroupOption(groupId, 'announcementTemplates', templates, adminId);
+        await ctx.reply(templates[type]
+          ? `${type.toUpperCase()} announcement for Group ${groupId} updated. Preview:\n\n` +
+            renderAnnouncement(input, { userId: adminId, name: ctx.from.first_name || 'User', pattern: '*example*', action: ACTION_PAST_TENSE[type], duration: '1h' })
+          : `${type.toUpperCase()} announcement for Group ${groupId} reset to the built-in messages.`,
+          { parse_mode: 'HTML' });
+      }
+      session.templateType = undefined;
     } else if (session.action === 'Remove Filter') {
-      // ... existing remove filter logic  
+      const result = await removeGroupPattern(groupId, input, adminId);
+      await ctx.reply(result.message);
     } else if (session.action === 'Select Patterns') {
       // ... existing select patterns logic
     }
@@ -1112,8 +3461,68 @@ if (input.toLowerCase() === '/cancel') {
   await showMainMenu(ctx);
 });
 
+// Pattern files uploaded in private chat are previewed as an import into the selected group
+bot.on('document', async (ctx, next) => {
+  if (ctx.chat.type !== 'private') {
+    return next();
+  }
+  if (!(await isAuthorized(ctx, adminSessions))) {
+    console.log(`[IMPORT] User ${ctx.from.id} not authorized for private chat`);
+    return;
+  }
+
+  const adminId = ctx.from.id;
+  const session = adminSessions.get(adminId) || { chatId: ctx.chat.id };
+  const groupId = session.selectedGroupId;
+  const document = ctx.message.document;
+  const fileName = document.file_name || 'upload';
+  console.log(`[IMPORT] Admin ${adminId} uploaded "${fileName}" (${document.file_size} bytes)`);
+
+  if (!groupId || !hasGroupRole(adminId, groupId, 'editor')) {
+    return ctx.reply(describeRoleDenial(adminId, groupId, 'editor'));
+  }
+
+  const extension = path.extname(fileName).toLowerCase();
+  if (extension !== '.toml' && extension !== '.json') {
+    return ctx.reply('Send a .toml or .json pattern file, like the ones /export creates, to import it.');
+  }
+  if (document.file_size > MAX_IMPORT_FILE_BYTES) {
+    return ctx.reply(`That file is too large for a pattern file (at most ${MAX_IMPORT_FILE_BYTES / 1024} KB).`);
+  }
+
+  let parsed;
+  try {
+    const response = await fetch(await ctx.telegram.getFileLink(document.file_id));
+    if (!response.ok) {
+      throw new Error(`download failed with HTTP ${response.status}`);
+    }
+    parsed = parsePatternFile(await response.text(), extension.slice(1));
+  } catch (err) {
+    console.log(`[IMPORT] Could not read "${fileName}": ${err.message}`);
+    return ctx.reply(`Could not read ${fileName}: ${err.message}`);
+  }
+
+  const preview = buildImportPreview(groupId, parsed.patterns, adminId);
+  session.pendingImport = { groupId, fileName, patterns: preview.toAdd };
+  adminSessions.set(adminId, session);
+  console.log(`[IMPORT] Preview for group ${groupId}: ${preview.toAdd.length} new, ${preview.duplicates.length} duplicate, ${preview.invalid.length} invalid, ${preview.overLimit.length} over the limit`);
+
+  const buttons = preview.toAdd.length > 0
+    ? [{ text: `Import ${preview.toAdd.length} patterns`, callback_data: 'import_confirm' }, { text: 'Cancel', callback_data: 'import_cancel' }]
+    : [{ text: 'Back to Menu', callback_data: 'menu_back' }];
+  return ctx.reply(formatImportPreview(groupId, fileName, preview, parsed.exceptions.length), {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: [buttons] }
+  });
+});
+
 // Callback handler
 bot.on('callback_query', async (ctx) => {
+  // Moderation log buttons live in the log chat, not in the admin's private chat
+  if (ctx.callbackQuery.data?.startsWith('log_')) {
+    return handleLogButton(ctx);
+  }
+  
   if (ctx.chat?.type !== 'private' || !(await isAuthorized(ctx, adminSessions))) {
     console.log(`[CALLBACK] User ${ctx.from.id} not authorized`);
     return ctx.answerCbQuery('Not authorized.');
@@ -1145,6 +3554,56 @@ bot.on('callback_query', async (ctx) => {
     }
   }
 
+  // Group enrollment - global admins only
+  if (data === 'menu_groups' || data.startsWith('group_')) {
+    if (!WHITELISTED_USER_IDS.includes(adminId)) {
+      await ctx.reply('Only global admins can enroll or remove groups.');
+      return;
+    }
+    if (data === 'menu_groups') {
+      await showGroupsMenu(ctx);
+      return;
+    }
+    
+    const [, command, groupIdText] = data.split('_');
+    const groupId = parseInt(groupIdText);
+    let result;
+    if (command === 'approve') {
+      if (!settings.pendingGroups[groupId]) {
+        result = { message: `Group ${groupId} has no pending request.` };
+      } else {
+        result = await enrollGroup(groupId, adminId);
+        if (result.success) {
+          await bot.telegram.sendMessage(groupId, `This group was approved. Make me an admin with ban rights so I can act on users.`)
+            .catch(err => console.log(`[ENROLL] Could not post approval to ${groupId}: ${err.message}`));
+        }
+      }
+    } else if (command === 'reject' || command === 'confirmRemove') {
+      result = await removeGroup(groupId, `${command === 'reject' ? 'request rejected' : 'removed'} by ${adminId}`, adminId);
+      if (command === 'reject') {
+        result = { message: `Request for Group ${groupId} rejected.` };
+      }
+      await bot.telegram.leaveChat(groupId)
+        .catch(err => console.log(`[ENROLL] Could not leave ${groupId}: ${err.message}`));
+    } else if (command === 'remove') {
+      await showOrEditMenu(ctx,
+        `Remove Group ${groupId}? The bot stops monitoring it and leaves the group. Its pattern file is kept.`,
+        {
+          reply_markup: {
+            inline_keyboard: [[
+              { text: 'Remove', callback_data: `group_confirmRemove_${groupId}` },
+              { text: 'Cancel', callback_data: 'menu_groups' }
+            ]]
+          }
+        }
+      );
+      return;
+    }
+    console.log(`[CALLBACK] Admin ${adminId} ${command} group ${groupId}: ${result?.message}`);
+    await showGroupsMenu(ctx, result?.message || '');
+    return;
+  }
+
   // Handle pattern browsing - allow any authorized user to browse all patterns
   if (data === 'menu_browsePatterns') {
     console.log(`[CALLBACK] Admin ${adminId} wants to browse patterns`);
@@ -1165,13 +3624,13 @@ bot.on('callback_query', async (ctx) => {
     const sourceGroupId = parseInt(data.replace('copy_all_', ''));
     const targetGroupId = session.selectedGroupId;
     
-    if (!canManageGroup(adminId, targetGroupId)) {
-      await ctx.answerCbQuery('You cannot manage the target group.');
+    if (!hasGroupRole(adminId, targetGroupId, 'editor')) {
+      await ctx.answerCbQuery('You need the editor role in the target group.');
       return;
     }
     
     console.log(`[CALLBACK] Copying all patterns from ${sourceGroupId} to ${targetGroupId}`);
-    const result = await copyPatternsToGroup(sourceGroupId, targetGroupId);
+    const result = await copyPatternsToGroup(sourceGroupId, targetGroupId, null, adminId);
     
     if (result.success) {
       await ctx.answerCbQuery(`Success! ${result.message}`);
@@ -1199,8 +3658,8 @@ bot.on('callback_query', async (ctx) => {
     const targetGroupId = session.selectedGroupId;
     
     // Check permission for target group
-    if (!canManageGroup(adminId, targetGroupId)) {
-      await ctx.answerCbQuery('You cannot manage the target group.');
+    if (!hasGroupRole(adminId, targetGroupId, 'editor')) {
+      await ctx.answerCbQuery('You need the editor role in the target group.');
       return;
     }
     
@@ -1237,6 +3696,12 @@ bot.on('callback_query', async (ctx) => {
     await showMainMenu(ctx);
     return;
   }
+  
+  const requiredRole = getCallbackRole(data);
+  if (!hasGroupRole(adminId, groupId, requiredRole)) {
+    await ctx.reply(describeRoleDenial(adminId, groupId, requiredRole));
+    return;
+  }
 
   // Existing callback handlers...
   if (data === 'menu_addFilter') {
@@ -1250,7 +3715,7 @@ bot.on('callback_query', async (ctx) => {
         reply_markup: { inline_keyboard: [[{ text: 'Back to Menu', callback_data: 'menu_back' }]] }
       });
     } else {
-      const list = patterns.map((p, index) => `${index + 1}. <code>${p.raw}</code>`).join('\n');
+      const list = patterns.map((p, index) => formatPatternLine(p, index)).join('\n');
       await showOrEditMenu(ctx, `Current filters for Group ${groupId}:\n${list}\n\nEnter filter to remove (exact text):`, { 
         parse_mode: 'HTML', 
         reply_markup: { inline_keyboard: [[{ text: 'Back to Menu', callback_data: 'menu_back' }]] } 
@@ -1266,20 +3731,187 @@ bot.on('callback_query', async (ctx) => {
         reply_markup: { inline_keyboard: [[{ text: 'Back to Menu', callback_data: 'menu_back' }]] }
       });
     } else {
-      const list = patterns.map((p, index) => `${index + 1}. <code>${p.raw}</code>`).join('\n');
+      const list = patterns.map((p, index) => formatPatternLine(p, index)).join('\n');
       await ctx.editMessageText(`Current filters for Group ${groupId} (${patterns.length}/100):\n${list}`, {
         parse_mode: 'HTML',
         reply_markup: { inline_keyboard: [[{ text: 'Back to Menu', callback_data: 'menu_back' }]] }
       });
     }
   } else if (data === 'menu_toggleAction') {
-    const currentAction = getGroupAction(groupId);
-    const newAction = currentAction === 'ban' ? 'kick' : 'ban';
-    settings.groupActions[groupId] = newAction;
-    await saveSettings();
-    console.log(`[CALLBACK] Admin ${adminId} toggled action for group ${groupId}: ${currentAction} -> ${newAction}`);
+    await showActionMenu(ctx);
+  } else if (data.startsWith('set_action_')) {
+    const spec = data.replace('set_action_', '').replace(/_/g, ' ');
+    await setGroupAction(groupId, spec, adminId);
+    console.log(`[CALLBACK] Admin ${adminId} set action for group ${groupId}: ${spec}`);
+    await showActionMenu(ctx);
+  } else if (data === 'menu_toggleWarnFirst') {
+    const action = parseAction(getGroupAction(groupId));
+    // Warning first only makes sense before a real action
+    const spec = action.warnFirst ? action.spec.replace(/^warn /, '') : (action.type === 'warn' ? 'warn kick' : `warn ${action.spec}`);
+    await setGroupAction(groupId, spec, adminId);
+    console.log(`[CALLBACK] Admin ${adminId} set action for group ${groupId}: ${spec}`);
+    await showActionMenu(ctx);
+  } else if (data === 'menu_toggleLeetspeak') {
+    const enabled = !getGroupOptions(groupId).foldLeetspeak;
+    await setGroupOption(groupId, 'foldLeetspeak', enabled, adminId);
+    console.log(`[CALLBACK] Admin ${adminId} set leetspeak folding for group ${groupId}: ${enabled ? 'ON' : 'OFF'}`);
+    await showMainMenu(ctx);
+    await ctx.answerCbQuery(`Leetspeak folding ${enabled ? 'enabled' : 'disabled'} for Group ${groupId}`);
+  } else if (data === 'menu_refreshAdmins') {
+    const refreshedAt = adminRefreshes.get(adminId);
+    if (refreshedAt && Date.now() - refreshedAt < ADMIN_REFRESH_MS) {
+      const seconds = Math.ceil((ADMIN_REFRESH_MS - (Date.now() - refreshedAt)) / 1000);
+      return ctx.reply(`The admin list was just refreshed. Try again in ${seconds} seconds.`);
+    }
+    adminRefreshes.set(adminId, Date.now());
+    await forceRefreshAuthCache();
+    const stats = getAuthCacheStats();
+    console.log(`[CALLBACK] Admin ${adminId} refreshed the admin cache: ${stats.totalUsers} users`);
+    await ctx.reply(`Admin list refreshed: ${stats.globalAdmins} global and ${stats.groupAdmins} group admins.`);
+    if (!canManageGroup(adminId, groupId)) {
+      session.selectedGroupId = undefined;
+      adminSessions.set(adminId, session);
+      return ctx.reply('You are no longer an admin of the selected group.');
+    }
+    await showMainMenu(ctx);
+  } else if (data === 'menu_undo') {
+    const undoRevision = session.undoRevision;
+    const revisions = await getPatternRevisions(groupId);
+    const latest = revisions[revisions.length - 1];
+    if (!undoRevision || undoRevision.groupId !== groupId || !latest || latest.rev !== undoRevision.rev) {
+      session.undoRevision = undefined;
+      return ctx.reply('Nothing to undo: the filters of this group changed since. Use /history and /rollback instead.');
+    }
+    const result = await rollbackPatterns(groupId, undoRevision.rev - 1, adminId);
+    // Undoing the undo is a normal rollback, not another menu button
+    session.undoRevision = undefined;
+    if (!result.success) {
+      return ctx.reply(result.message);
+    }
+    await showMainMenu(ctx);
+    await ctx.answerCbQuery(`Undid "${latest.change}"`);
+  } else if (data === 'menu_libraries') {
+    await showLibrariesMenu(ctx);
+  } else if (data.startsWith('library_view_') && settings.libraries[data.replace('library_view_', '')]) {
+    await showLibraryPatterns(ctx, data.replace('library_view_', ''));
+  } else if (data.startsWith('library_toggle_') && settings.libraries[data.replace('library_toggle_', '')]) {
+    const name = data.replace('library_toggle_', '');
+    const subscribe = !getGroupOptions(groupId).libraries.includes(name);
+    await setLibrarySubscription(groupId, name, subscribe, adminId);
+    await showLibrariesMenu(ctx, `Group ${groupId} ${subscribe ? 'subscribed to' : 'unsubscribed from'} library ${name}.`);
+  } else if (data === 'import_confirm' || data === 'import_cancel') {
+    const pendingImport = session.pendingImport;
+    session.pendingImport = undefined;
+    if (!pendingImport) {
+      return ctx.reply('No import is waiting for confirmation. Upload the file again.');
+    }
+    if (data === 'import_cancel') {
+      await ctx.reply('Import cancelled.');
+      return showMainMenu(ctx);
+    }
+    if (pendingImport.groupId !== groupId) {
+      return ctx.reply(`That preview was for Group ${pendingImport.groupId}. Select it again and upload the file again.`);
+    }
+    const result = await importPatterns(groupId, pendingImport.patterns, adminId, pendingImport.fileName);
+    await ctx.reply(result.message);
+    await showMainMenu(ctx);
+  } else if (data === 'menu_audit') {
+    const entries = await getAuditEntries(groupId, 15);
+    await showOrEditMenu(ctx, formatAuditEntries(groupId, entries), {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: [[{ text: 'Back to Menu', callback_data: 'menu_back' }]] }
+    });
+  } else if (data === 'menu_stats') {
+    await showStatsMenu(ctx);
+  } else if (data.startsWith('stats_window_') && HIT_WINDOW_LABELS[data.replace('stats_window_', '')]) {
+    await showStatsMenu(ctx, data.replace('stats_window_', ''));
+  } else if (data === 'menu_toggleFederation') {
+    const enabled = !getGroupOptions(groupId).federation;
+    await setGroupOption(groupId, 'federation', enabled, adminId);
+    console.log(`[CALLBACK] Admin ${adminId} set federation for group ${groupId}: ${enabled ? 'ON' : 'OFF'}`);
+    await showMainMenu(ctx);
+    await ctx.answerCbQuery(enabled
+      ? `Group ${groupId} joined the federation: its bans are shared and federation bans are enforced on join`
+      : `Group ${groupId} left the federation`);
+  } else if (data === 'menu_toggleShadow') {
+    const enabled = !getGroupOptions(groupId).shadowMode;
+    await setGroupOption(groupId, 'shadowMode', enabled, adminId);
+    console.log(`[CALLBACK] Admin ${adminId} set shadow mode for group ${groupId}: ${enabled ? 'ON' : 'OFF'}`);
     await showMainMenu(ctx);
-    await ctx.answerCbQuery(`Action now: ${newAction.toUpperCase()} for Group ${groupId}`);
+    await ctx.answerCbQuery(enabled
+      ? `Group ${groupId} is in shadow mode: matches are reported, nobody is removed`
+      : `Group ${groupId} is enforcing again`);
+  } else if (data.startsWith('toggle_option_') && CLEANUP_TOGGLES[data.replace('toggle_option_', '')]) {
+    const key = data.replace('toggle_option_', '');
+    const enabled = !getGroupOptions(groupId)[key];
+    await setGroupOption(groupId, key, enabled, adminId);
+    console.log(`[CALLBACK] Admin ${adminId} set ${key} for group ${groupId}: ${enabled ? 'ON' : 'OFF'}`);
+    await showMainMenu(ctx);
+    await ctx.answerCbQuery(`${CLEANUP_TOGGLES[key]} ${enabled ? 'enabled' : 'disabled'} for Group ${groupId}`);
+  } else if (data === 'menu_logChat') {
+    const current = getGroupOptions(groupId).logChatId;
+    session.action = 'Set Log Chat';
+    adminSessions.set(adminId, session);
+    await showOrEditMenu(ctx,
+      `<b>Moderation Log for Group ${groupId}</b>\n\n` +
+      `Current log chat: ${current ? `<code>${current}</code>` : 'off'}\n\n` +
+      `Every action is posted to the log chat with buttons to unban or exempt the user. ` +
+      `Add the bot to a private channel (as an admin) or an admin group and send the chat ID here, ` +
+      `or <code>off</code> to disable. Run /chatinfo in a group to see its ID; channel IDs start with -100.`,
+      {
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: [[{ text: 'Cancel', callback_data: 'menu_back' }]] }
+      }
+    );
+  } else if (data === 'menu_announcements') {
+    await showAnnouncementsMenu(ctx);
+  } else if (data === 'menu_toggleSilent') {
+    const enabled = !getGroupOptions(groupId).silentAnnouncements;
+    await setGroupOption(groupId, 'silentAnnouncements', enabled, adminId);
+    console.log(`[CALLBACK] Admin ${adminId} set silent announcements for group ${groupId}: ${enabled ? 'ON' : 'OFF'}`);
+    await showAnnouncementsMenu(ctx);
+  } else if (data === 'menu_announceDelete') {
+    // Cycle through the presets
+    const current = ANNOUNCEMENT_DELETE_PRESETS.indexOf(getGroupOptions(groupId).announcementDeleteSeconds);
+    const seconds = ANNOUNCEMENT_DELETE_PRESETS[(current + 1) % ANNOUNCEMENT_DELETE_PRESETS.length];
+    await setGroupOption(groupId, 'announcementDeleteSeconds', seconds, adminId);
+    console.log(`[CALLBACK] Admin ${adminId} set announcement auto-delete for group ${groupId}: ${seconds}s`);
+    await showAnnouncementsMenu(ctx);
+  } else if (data.startsWith('edit_template_') && ACTION_PAST_TENSE[data.replace('edit_template_', '')]) {
+    const type = data.replace('edit_template_', '');
+    session.action = 'Edit Template';
+    session.templateType = type;
+    adminSessions.set(adminId, session);
+    const current = getGroupOptions(groupId).announcementTemplates[type];
+    await showOrEditMenu(ctx,
+      `<b>${type.toUpperCase()} announcement for Group ${groupId}</b>\n\n` +
+      `Current: ${current ? `<code>${escapeHtml(current)}</code>` : '<i>built-in messages</i>'}\n\n` +
+      `Send the new template, or <code>default</code> to go back to the built-in messages.\n\n` +
+      `Example: <code>{mention} was {action} ({duration}) for matching a blocked name pattern.</code>\n\n` +
+      `Placeholders: ${Object.keys(ANNOUNCEMENT_PLACEHOLDERS).map(name => `<code>{${name}}</code>`).join(', ')}`,
+      {
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: [[{ text: 'Cancel', callback_data: 'menu_announcements' }]] }
+      }
+    );
+  } else if (data === 'menu_exceptions') {
+    await showExceptionsMenu(ctx);
+  } else if (data === 'menu_addException') {
+    console.log(`[CALLBACK] Admin ${adminId} wants to add exception for group ${groupId}`);
+    await promptForPattern(ctx, 'Add Exception');
+  } else if (data === 'menu_removeException' || data === 'menu_exemptUser' || data === 'menu_unexemptUser') {
+    const prompts = {
+      menu_removeException: ['Remove Exception', 'Enter exception to remove (exact text):'],
+      menu_exemptUser: ['Exempt User', 'Enter the user ID to exempt:'],
+      menu_unexemptUser: ['Unexempt User', 'Enter the user ID to remove from the exempt list:']
+    };
+    const [action, prompt] = prompts[data];
+    session.action = action;
+    adminSessions.set(adminId, session);
+    await showOrEditMenu(ctx, `<b>Exceptions for Group ${groupId}</b>\n\n${formatExceptionList(groupId)}\n\n${prompt}`, {
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: [[{ text: 'Cancel', callback_data: 'menu_exceptions' }]] }
+    });
   } else if (data === 'menu_patternHelp') {
     console.log(`[CALLBACK] Admin ${adminId} requested pattern help`);
     const helpText = 
@@ -1318,7 +3950,8 @@ bot.on('callback_query', async (ctx) => {
       `• Username (if present)\n` +
       `• Display name (first + last name)\n` +
       `• Display name without quotes/spaces\n` +
-      `• All converted to lowercase\n\n` +
+      `• All converted to lowercase\n` +
+      `• Each also normalized: lookalike letters (Cyrillic, Greek, fullwidth, math symbols) folded to Latin, invisible characters removed, and leetspeak folded if enabled\n\n` +
       
       `<b>Tips:</b>\n` +
       `• Test patterns with /testpattern\n` +
@@ -1326,118 +3959,738 @@ bot.on('callback_query', async (ctx) => {
       `• Simple text matches as substring\n` +
       `• Use Browse & Copy to share patterns between groups`;
 
-    await ctx.editMessageText(helpText, {
-      parse_mode: 'HTML',
-      reply_markup: { 
-        inline_keyboard: [[{ text: 'Back to Menu', callback_data: 'menu_back' }]] 
-      }
-    });
-  } else if (data === 'menu_back') {
-    console.log(`[CALLBACK] Admin ${adminId} returning to main menu`);
-    await showMainMenu(ctx);
+    await ctx.editMessageText(helpText, {
+      parse_mode: 'HTML',
+      reply_markup: { 
+        inline_keyboard: [[{ text: 'Back to Menu', callback_data: 'menu_back' }]] 
+      }
+    });
+  } else if (data === 'menu_back') {
+    console.log(`[CALLBACK] Admin ${adminId} returning to main menu`);
+    await showMainMenu(ctx);
+  }
+});
+
+// Direct command handlers for /addFilter, /removeFilter, /listFilters
+bot.command('addFilter', async (ctx) => {
+  if (ctx.chat.type !== 'private' || !(await isAuthorized(ctx))) return;
+
+  console.log(`[COMMAND] /addFilter from admin ${ctx.from.id}: "${ctx.message.text}"`);
+  
+  const adminId = ctx.from.id;
+  let session = adminSessions.get(adminId) || { chatId: ctx.chat.id };
+  const groupId = session.selectedGroupId;
+
+  if (!groupId || !hasGroupRole(adminId, groupId, 'editor')) {
+    console.log(`[COMMAND] No group selected for addFilter where ${adminId} is an editor`);
+    return ctx.reply(describeRoleDenial(adminId, groupId, 'editor'));
+  }
+
+  const parts = ctx.message.text.split(' ');
+  if (parts.length < 2) {
+    console.log(`[COMMAND] addFilter usage help requested`);
+    return ctx.reply(
+      `<b>Usage: /addFilter &lt;pattern&gt; [--note &lt;text&gt;] [--expires &lt;7d|2026-11-01&gt;] [--scope &lt;username|display|compact|name|bio|all&gt;] [--action &lt;action&gt;]</b>\n\n` +
+      
+      `<b>Examples:</b>\n` +
+      `<code>/addFilter spam</code>\n` +
+      `<code>/addFilter *bitcoin*</code>\n` +
+      `<code>/addFilter /^evil.*user$/i</code>\n` +
+      `<code>/addFilter *casino* --note scam wave Oct 2026 --expires 30d</code>\n` +
+      `<code>/addFilter *bot --scope username</code>\n` +
+      `<code>/addFilter /heart.*p.rn/i --action ban</code>\n\n` +
+      
+      `Current Group: ${groupId}\n` +
+      `Use /menu for more help and examples.`,
+      { parse_mode: 'HTML' }
+    );
+  }
+
+  let result;
+  try {
+    const { pattern, metadata } = parseFilterInput(parts.slice(1).join(' '));
+    result = await addGroupPattern(groupId, pattern, adminId, metadata);
+  } catch (err) {
+    result = { success: false, message: err.message };
+  }
+  
+  if (!result.success) {
+    return ctx.reply(`Error: ${result.message}`);
+  }
+  
+  console.log(`[COMMAND] Added pattern "${result.pattern.raw}" to group ${groupId}`);
+  return ctx.reply(`${result.message}${formatPatternWarnings(result.pattern)}`);
+});
+
+bot.command('removeFilter', async (ctx) => {
+  if (ctx.chat.type !== 'private' || !(await isAuthorized(ctx))) return;
+
+  console.log(`[COMMAND] /removeFilter from admin ${ctx.from.id}: "${ctx.message.text}"`);
+  
+  const adminId = ctx.from.id;
+  let session = adminSessions.get(adminId) || { chatId: ctx.chat.id };
+  const groupId = session.selectedGroupId;
+
+  if (!groupId || !hasGroupRole(adminId, groupId, 'editor')) {
+    console.log(`[COMMAND] No group selected for removeFilter where ${adminId} is an editor`);
+    return ctx.reply(describeRoleDenial(adminId, groupId, 'editor'));
+  }
+
+  let patterns = groupPatterns.get(groupId) || [];
+
+  const parts = ctx.message.text.split(' ');
+  if (parts.length < 2) {
+    if (patterns.length === 0) {
+      console.log(`[COMMAND] No patterns to remove for group ${groupId}`);
+      return ctx.reply(`No patterns exist to remove for Group ${groupId}.`);
+    }
+    console.log(`[COMMAND] removeFilter usage help requested`);
+    const patternsList = patterns.map((p, index) => formatPatternLine(p, index, { html: false })).join('\n');
+    return ctx.reply(`Usage: /removeFilter <pattern>\nCurrent patterns for Group ${groupId}:\n${patternsList}`);
+  }
+
+  const result = await removeGroupPattern(groupId, parts.slice(1).join(' ').trim(), adminId);
+  return ctx.reply(result.message);
+});
+
+// Shared handler for /enableFilter and /disableFilter
+async function handleSetFilterEnabled(ctx, enabled) {
+  const command = enabled ? 'enableFilter' : 'disableFilter';
+  if (ctx.chat.type !== 'private' || !(await isAuthorized(ctx))) return;
+
+  console.log(`[COMMAND] /${command} from admin ${ctx.from.id}: "${ctx.message.text}"`);
+  
+  const adminId = ctx.from.id;
+  let session = adminSessions.get(adminId) || { chatId: ctx.chat.id };
+  const groupId = session.selectedGroupId;
+
+  if (!groupId || !hasGroupRole(adminId, groupId, 'editor')) {
+    console.log(`[COMMAND] No group selected for ${command} where ${adminId} is an editor`);
+    return ctx.reply(describeRoleDenial(adminId, groupId, 'editor'));
+  }
+
+  const parts = ctx.message.text.split(' ');
+  if (parts.length < 2) {
+    return ctx.reply(`Usage: /${command} <pattern>`);
+  }
+
+  const patterns = groupPatterns.get(groupId) || [];
+  const raw = parts.slice(1).join(' ').trim();
+  const pattern = patterns.find(p => p.raw === raw);
+
+  if (!pattern) {
+    console.log(`[COMMAND] Pattern not found: "${raw}" in group ${groupId}`);
+    return ctx.reply(`Filter "${raw}" not found in Group ${groupId}.`);
+  }
+
+  const before = pattern.enabled !== false ? 'enabled' : 'disabled';
+  pattern.enabled = enabled;
+  // Re-enabling an expired pattern means it should stay on
+  if (enabled && isPatternExpired(pattern)) {
+    pattern.expiresAt = null;
+  }
+  await saveGroupPatterns(groupId, patterns, { adminId, change: `${enabled ? 'enable' : 'disable'} filter` });
+  await recordAudit(groupId, adminId, `${enabled ? 'enable' : 'disable'} filter ${raw}`, before, enabled ? 'enabled' : 'disabled');
+  
+  console.log(`[COMMAND] ${enabled ? 'Enabled' : 'Disabled'} pattern "${raw}" in group ${groupId}`);
+  return ctx.reply(`Filter ${enabled ? 'enabled' : 'disabled'}: "${raw}" in Group ${groupId}`);
+}
+
+bot.command('enableFilter', (ctx) => handleSetFilterEnabled(ctx, true));
+bot.command('disableFilter', (ctx) => handleSetFilterEnabled(ctx, false));
+
+bot.command('setScope', async (ctx) => {
+  if (ctx.chat.type !== 'private' || !(await isAuthorized(ctx))) return;
+
+  console.log(`[COMMAND] /setScope from admin ${ctx.from.id}: "${ctx.message.text}"`);
+  
+  const adminId = ctx.from.id;
+  let session = adminSessions.get(adminId) || { chatId: ctx.chat.id };
+  const groupId = session.selectedGroupId;
+
+  if (!groupId || !hasGroupRole(adminId, groupId, 'editor')) {
+    console.log(`[COMMAND] No group selected for setScope where ${adminId} is an editor`);
+    return ctx.reply(describeRoleDenial(adminId, groupId, 'editor'));
+  }
+
+  const parts = ctx.message.text.split(' ');
+  if (parts.length < 3) {
+    return ctx.reply(
+      'Usage: /setScope <scope> <pattern>\n\n' +
+      'Scopes: username, display, compact, name, bio, all, or default. Combine with commas, e.g. username,bio'
+    );
+  }
+
+  let scope;
+  try {
+    scope = parts[1].toLowerCase() === 'default' ? null : parsePatternScope(parts[1]);
+  } catch (err) {
+    return ctx.reply(`Error: ${err.message}`);
+  }
+
+  const patterns = groupPatterns.get(groupId) || [];
+  const raw = parts.slice(2).join(' ').trim();
+  const pattern = patterns.find(p => p.raw === raw);
+
+  if (!pattern) {
+    console.log(`[COMMAND] Pattern not found: "${raw}" in group ${groupId}`);
+    return ctx.reply(`Filter "${raw}" not found in Group ${groupId}.`);
+  }
+
+  const before = describePatternScope(pattern.scope);
+  pattern.scope = scope;
+  await saveGroupPatterns(groupId, patterns, { adminId, change: 'set filter scope' });
+  await recordAudit(groupId, adminId, `set scope of ${raw}`, before, describePatternScope(scope));
+  
+  console.log(`[COMMAND] Set scope of pattern "${raw}" in group ${groupId} to ${describePatternScope(scope)}`);
+  return ctx.reply(`Filter "${raw}" in Group ${groupId} now checks: ${describePatternScope(scope)}`);
+});
+
+bot.command('setFilterAction', async (ctx) => {
+  if (ctx.chat.type !== 'private' || !(await isAuthorized(ctx))) return;
+
+  console.log(`[COMMAND] /setFilterAction from admin ${ctx.from.id}: "${ctx.message.text}"`);
+  
+  const adminId = ctx.from.id;
+  let session = adminSessions.get(adminId) || { chatId: ctx.chat.id };
+  const groupId = session.selectedGroupId;
+
+  if (!groupId || !hasGroupRole(adminId, groupId, 'owner')) {
+    console.log(`[COMMAND] No group selected for setFilterAction where ${adminId} is an owner`);
+    return ctx.reply(describeRoleDenial(adminId, groupId, 'owner'));
+  }
+
+  // Actions never contain "|", so the last one separates it from the pattern
+  const input = ctx.message.text.split(' ').slice(1).join(' ');
+  const separator = input.lastIndexOf('|');
+  if (separator === -1) {
+    return ctx.reply(
+      'Usage: /setFilterAction <pattern> | <action>\n\n' +
+      'Actions: warn, mute [duration], kick, ban [duration], optionally prefixed with "warn"; ' +
+      '"default" uses the group action.\n' +
+      'Example: /setFilterAction *casino* | ban'
+    );
+  }
+  const raw = input.slice(0, separator).trim();
+  const actionInput = input.slice(separator + 1).trim();
+
+  let action;
+  try {
+    action = actionInput.toLowerCase() === 'default' ? null : parseAction(actionInput).spec;
+  } catch (err) {
+    return ctx.reply(`Error: ${err.message}`);
+  }
+
+  const patterns = groupPatterns.get(groupId) || [];
+  const pattern = patterns.find(p => p.raw === raw);
+
+  if (!pattern) {
+    console.log(`[COMMAND] Pattern not found: "${raw}" in group ${groupId}`);
+    return ctx.reply(`Filter "${raw}" not found in Group ${groupId}.`);
+  }
+
+  const before = pattern.action || 'group default';
+  pattern.action = action;
+  await saveGroupPatterns(groupId, patterns, { adminId, change: 'set filter action' });
+  await recordAudit(groupId, adminId, `set action of ${raw}`, before, action || 'group default');
+  
+  console.log(`[COMMAND] Set action of pattern "${raw}" in group ${groupId} to ${action || 'group default'}`);
+  return ctx.reply(`Filter "${raw}" in Group ${groupId} now uses: ${action ? formatAction(action) : `the group action (${formatAction(getGroupAction(groupId))})`}`);
+});
+
+bot.command('setlogchat', async (ctx) => {
+  if (ctx.chat.type !== 'private' || !(await isAuthorized(ctx))) return;
+
+  console.log(`[COMMAND] /setlogchat from admin ${ctx.from.id}: "${ctx.message.text}"`);
+  
+  const adminId = ctx.from.id;
+  let session = adminSessions.get(adminId) || { chatId: ctx.chat.id };
+  const groupId = session.selectedGroupId;
+
+  if (!groupId || !hasGroupRole(adminId, groupId, 'owner')) {
+    console.log(`[COMMAND] No group selected for setlogchat where ${adminId} is an owner`);
+    return ctx.reply(describeRoleDenial(adminId, groupId, 'owner'));
+  }
+
+  const input = ctx.message.text.split(' ').slice(1).join(' ');
+  if (!input.trim()) {
+    const current = getGroupOptions(groupId).logChatId;
+    return ctx.reply(`Moderation log for Group ${groupId}: ${current || 'off'}\nUsage: /setlogchat <chat_id|off>`);
+  }
+
+  const result = await setLogChat(groupId, input, adminId);
+  return ctx.reply(result.message);
+});
+
+bot.command('audit', async (ctx) => {
+  if (ctx.chat.type !== 'private' || !(await isAuthorized(ctx))) return;
+
+  console.log(`[COMMAND] /audit from admin ${ctx.from.id}: "${ctx.message.text}"`);
+
+  const adminId = ctx.from.id;
+  const groupId = (adminSessions.get(adminId) || {}).selectedGroupId;
+  if (!groupId || !canManageGroup(adminId, groupId)) {
+    return ctx.reply('No group selected or permission denied. Use /menu to select a group first.');
+  }
+
+  const arg = ctx.message.text.split(' ')[1];
+  const limit = arg ? parseInt(arg) : 10;
+  if (!Number.isInteger(limit) || limit < 1) {
+    return ctx.reply('Usage: /audit [number of entries, default 10, at most 20]');
+  }
+
+  const entries = await getAuditEntries(groupId, Math.min(limit, 20));
+  return ctx.reply(formatAuditEntries(groupId, entries), { parse_mode: 'HTML' });
+});
+
+bot.command('fedbans', async (ctx) => {
+  if (ctx.chat.type !== 'private' || !(await isAuthorized(ctx))) return;
+
+  console.log(`[COMMAND] /fedbans from admin ${ctx.from.id}`);
+
+  // Global admins see the whole list, group admins the bans made or enforced in their federation groups
+  const adminId = ctx.from.id;
+  const isGlobalAdmin = WHITELISTED_USER_IDS.includes(adminId);
+  const visibleGroups = getFederationGroups().filter(groupId => isGlobalAdmin || canManageGroup(adminId, groupId));
+  if (visibleGroups.length === 0) {
+    return ctx.reply('None of your groups is in the federation. Owners can join it with the Federation button in /menu.');
+  }
+  const entries = Object.entries(federationBans)
+    .filter(([, entry]) => isGlobalAdmin || [entry.groupId, ...entry.enforcedIn].some(groupId => visibleGroups.includes(groupId)))
+    .sort(([, a], [, b]) => b.bannedAt.localeCompare(a.bannedAt));
+  let text = `<b>Federation banlist</b> (${entries.length} users)\n`;
+  text += `${isGlobalAdmin ? 'Groups' : 'Your federation groups'}: ${visibleGroups.join(', ')}\n\n`;
+  for (const [userId, entry] of entries.slice(0, 30)) {
+    const enforcedIn = entry.enforcedIn.filter(groupId => isGlobalAdmin || visibleGroups.includes(groupId));
+    const origin = isGlobalAdmin || visibleGroups.includes(entry.groupId) ? `Group ${entry.groupId}` : 'another federation group';
+    text += `<code>${userId}</code> banned in ${origin} on ${entry.bannedAt.slice(0, 10)}` +
+      (entry.pattern ? ` for <code>${escapeHtml(entry.pattern)}</code>` : '') +
+      (enforcedIn.length > 0 ? `, enforced in ${enforcedIn.join(', ')}` : '') + `\n`;
+  }
+  if (entries.length > 30) {
+    text += `... and ${entries.length - 30} more\n`;
+  }
+  text += `\nGlobal admins lift a ban everywhere with /fedunban &lt;user_id&gt;.`;
+  return ctx.reply(text, { parse_mode: 'HTML' });
+});
+
+bot.command('fedunban', async (ctx) => {
+  if (ctx.chat.type !== 'private' || !(await isAuthorized(ctx))) return;
+
+  console.log(`[COMMAND] /fedunban from admin ${ctx.from.id}: "${ctx.message.text}"`);
+
+  const adminId = ctx.from.id;
+  if (!WHITELISTED_USER_IDS.includes(adminId)) {
+    return ctx.reply('Only global admins can lift federation bans. Group admins can /unban in their own groups.');
+  }
+  const userId = parseInt(ctx.message.text.split(' ')[1]);
+  if (!Number.isInteger(userId)) {
+    return ctx.reply('Usage: /fedunban <user_id>');
+  }
+
+  const result = await liftFederationBan(userId, adminId);
+  return ctx.reply(result.message);
+});
+
+bot.command('library', async (ctx) => {
+  if (ctx.chat.type !== 'private' || !(await isAuthorized(ctx))) return;
+
+  console.log(`[COMMAND] /library from admin ${ctx.from.id}: "${ctx.message.text}"`);
+
+  const adminId = ctx.from.id;
+  const [, subcommand = 'list', name = '', ...rest] = ctx.message.text.split(' ');
+  const usage =
+    'Usage:\n' +
+    '/library - list shared libraries\n' +
+    '/library show <name> - list a library\'s patterns and hits\n' +
+    'Global admins:\n' +
+    '/library create <name>\n' +
+    '/library delete <name>\n' +
+    '/library add <name> <pattern> [--note ...] [--expires ...] [--scope ...] [--action ...]\n' +
+    '/library remove <name> <pattern>\n' +
+    '/library copy <name> - add the selected group\'s patterns\n\n' +
+    'Groups subscribe in /menu → Browse & Copy → Shared Libraries.';
+
+  if (subcommand === 'list') {
+    const names = Object.keys(settings.libraries).sort();
+    if (names.length === 0) {
+      return ctx.reply(`No shared libraries yet.\n\n${usage}`);
+    }
+    const lines = names.map(libraryName =>
+      `${libraryName}: ${(libraryPatterns.get(libraryName) || []).length} patterns, subscribed: ${getLibrarySubscribers(libraryName).join(', ') || 'none'}`);
+    return ctx.reply(`Shared libraries:\n${lines.join('\n')}`);
+  }
+  if (subcommand === 'show' && settings.libraries[name]) {
+    return ctx.reply(formatLibraryPatterns(name), { parse_mode: 'HTML' });
+  }
+
+  if (!['create', 'delete', 'add', 'remove', 'copy'].includes(subcommand) || !name) {
+    return ctx.reply(usage);
+  }
+  if (!WHITELISTED_USER_IDS.includes(adminId)) {
+    return ctx.reply('Only global admins can change shared libraries.');
+  }
+
+  let result;
+  if (subcommand === 'create') {
+    result = await createLibrary(name, adminId);
+  } else if (subcommand === 'delete') {
+    result = await deleteLibrary(name, adminId);
+  } else if (subcommand === 'add') {
+    let parsed;
+    try {
+      parsed = parseFilterInput(rest.join(' '));
+    } catch (err) {
+      return ctx.reply(err.message);
+    }
+    if (!parsed.pattern) {
+      return ctx.reply(usage);
+    }
+    result = await addLibraryPattern(name, parsed.pattern, adminId, parsed.metadata);
+    if (result.success) {
+      return ctx.reply(`${result.message}${formatPatternWarnings(result.pattern)}`);
+    }
+  } else if (subcommand === 'remove') {
+    result = await removeLibraryPattern(name, rest.join(' '), adminId);
+  } else {
+    const groupId = (adminSessions.get(adminId) || {}).selectedGroupId;
+    if (!groupId) {
+      return ctx.reply('No group selected. Use /menu to select a group first.');
+    }
+    result = await copyGroupToLibrary(name, groupId, adminId);
+  }
+  return ctx.reply(result.message);
+});
+
+bot.command('export', async (ctx) => {
+  if (ctx.chat.type !== 'private' || !(await isAuthorized(ctx))) return;
+
+  console.log(`[COMMAND] /export from admin ${ctx.from.id}: "${ctx.message.text}"`);
+
+  const adminId = ctx.from.id;
+  const groupId = (adminSessions.get(adminId) || {}).selectedGroupId;
+  if (!groupId || !canManageGroup(adminId, groupId)) {
+    return ctx.reply('No group selected or permission denied. Use /menu to select a group first.');
+  }
+
+  const format = (ctx.message.text.split(' ')[1] || 'toml').toLowerCase();
+  if (format !== 'toml' && format !== 'json') {
+    return ctx.reply('Usage: /export [toml|json]');
+  }
+
+  const patterns = groupPatterns.get(groupId) || [];
+  if (patterns.length === 0) {
+    return ctx.reply(`Group ${groupId} has no patterns to export.`);
   }
+
+  const content = serializePatternFile(patterns, [], format);
+  return ctx.replyWithDocument(
+    { source: Buffer.from(content, 'utf-8'), filename: `patterns_${groupId}.${format}` },
+    { caption: `${patterns.length} patterns from Group ${groupId}. Upload this file in a private chat with the bot to import it into another group.` }
+  );
 });
 
-// Direct command handlers for /addFilter, /removeFilter, /listFilters
-bot.command('addFilter', async (ctx) => {
+bot.command('history', async (ctx) => {
   if (ctx.chat.type !== 'private' || !(await isAuthorized(ctx))) return;
 
-  console.log(`[COMMAND] /addFilter from admin ${ctx.from.id}: "${ctx.message.text}"`);
+  console.log(`[COMMAND] /history from admin ${ctx.from.id}: "${ctx.message.text}"`);
+
+  const adminId = ctx.from.id;
+  const groupId = (adminSessions.get(adminId) || {}).selectedGroupId;
+  if (!groupId || !canManageGroup(adminId, groupId)) {
+    return ctx.reply('No group selected or permission denied. Use /menu to select a group first.');
+  }
+
+  const arg = ctx.message.text.split(' ')[1];
+  const limit = arg ? parseInt(arg) : 10;
+  if (!Number.isInteger(limit) || limit < 1) {
+    return ctx.reply('Usage: /history [number of revisions, default 10, at most 20]');
+  }
+
+  const revisions = await getPatternRevisions(groupId);
+  return ctx.reply(formatPatternRevisions(groupId, revisions.slice(-Math.min(limit, 20)).reverse()), { parse_mode: 'HTML' });
+});
+
+bot.command('rollback', async (ctx) => {
+  if (ctx.chat.type !== 'private' || !(await isAuthorized(ctx))) return;
+
+  console.log(`[COMMAND] /rollback from admin ${ctx.from.id}: "${ctx.message.text}"`);
+
+  const adminId = ctx.from.id;
+  const groupId = (adminSessions.get(adminId) || {}).selectedGroupId;
+  if (!groupId || !hasGroupRole(adminId, groupId, 'editor')) {
+    return ctx.reply(describeRoleDenial(adminId, groupId, 'editor'));
+  }
+
+  const rev = parseInt((ctx.message.text.split(' ')[1] || '').replace('#', ''));
+  if (!Number.isInteger(rev) || rev < 1) {
+    return ctx.reply('Usage: /rollback <revision number from /history>');
+  }
+
+  const result = await rollbackPatterns(groupId, rev, adminId);
+  return ctx.reply(result.message);
+});
+
+bot.command('setrole', async (ctx) => {
+  if (ctx.chat.type !== 'private' || !(await isAuthorized(ctx))) return;
+
+  console.log(`[COMMAND] /setrole from admin ${ctx.from.id}: "${ctx.message.text}"`);
+
+  const adminId = ctx.from.id;
+  if (!WHITELISTED_USER_IDS.includes(adminId)) {
+    return ctx.reply('Only global admins can assign roles.');
+  }
+  const groupId = (adminSessions.get(adminId) || {}).selectedGroupId;
+  if (!groupId) {
+    return ctx.reply('No group selected. Use /menu to select a group first.');
+  }
+
+  const roleNames = Object.keys(ROLE_LEVELS).join('|');
+  const [target, role] = ctx.message.text.split(/\s+/).slice(1).map(arg => arg.toLowerCase());
+  if (!target) {
+    const options = getGroupOptions(groupId);
+    const assigned = Object.entries(options.adminRoles).map(([userId, userRole]) => `${userId}: ${userRole}`);
+    return ctx.reply(
+      `Roles in Group ${groupId}:\n${assigned.length > 0 ? assigned.join('\n') : 'none assigned'}\n` +
+      `Other group admins: ${options.defaultAdminRole}\n\n` +
+      `Usage: /setrole <user_id> <${roleNames}|default>\n` +
+      `or /setrole default <${roleNames}> for admins without a role`
+    );
+  }
+
+  if (target === 'default') {
+    if (!ROLE_LEVELS[role]) {
+      return ctx.reply(`Usage: /setrole default <${roleNames}>`);
+    }
+    await setGroupOption(groupId, 'defaultAdminRole', role, adminId);
+    return ctx.reply(`Group admins without an assigned role are now ${role}s in Group ${groupId}.`);
+  }
+
+  const userId = parseUserId(target);
+  if (!userId || !(ROLE_LEVELS[role] || role === 'default')) {
+    return ctx.reply(`Usage: /setrole <user_id> <${roleNames}|default>`);
+  }
+  await setGroupRole(groupId, userId, role, adminId);
+  return ctx.reply(role === 'default'
+    ? `User ${userId} now has the default role (${getGroupOptions(groupId).defaultAdminRole}) in Group ${groupId}.`
+    : `User ${userId} is now ${role === 'viewer' ? 'a' : 'an'} ${role} in Group ${groupId}. Roles apply while they are an admin of the group.`);
+});
+
+bot.command('addException', async (ctx) => {
+  if (ctx.chat.type !== 'private' || !(await isAuthorized(ctx))) return;
+
+  console.log(`[COMMAND] /addException from admin ${ctx.from.id}: "${ctx.message.text}"`);
   
   const adminId = ctx.from.id;
   let session = adminSessions.get(adminId) || { chatId: ctx.chat.id };
   const groupId = session.selectedGroupId;
 
-  if (!groupId || !canManageGroup(adminId, groupId)) {
-    console.log(`[COMMAND] No manageable group selected for addFilter`);
-    return ctx.reply('No group selected or permission denied. Use /menu to select a group first.');
+  if (!groupId || !hasGroupRole(adminId, groupId, 'owner')) {
+    console.log(`[COMMAND] No group selected for addException where ${adminId} is an owner`);
+    return ctx.reply(describeRoleDenial(adminId, groupId, 'owner'));
   }
 
   const parts = ctx.message.text.split(' ');
   if (parts.length < 2) {
-    console.log(`[COMMAND] addFilter usage help requested`);
     return ctx.reply(
-      `<b>Usage: /addFilter &lt;pattern&gt;</b>\n\n` +
-      
-      `<b>Examples:</b>\n` +
-      `<code>/addFilter spam</code>\n` +
-      `<code>/addFilter *bitcoin*</code>\n` +
-      `<code>/addFilter /^evil.*user$/i</code>\n\n` +
-      
-      `Current Group: ${groupId}\n` +
-      `Use /menu for more help and examples.`,
-      { parse_mode: 'HTML' }
+      'Usage: /addException <pattern> [--note <text>] [--expires <7d|2026-11-01>] [--scope <scope>]\n\n' +
+      'Users matching an exception are never acted on, even if a filter matches them.\n' +
+      'Example: /addException /^realadmin_support$/ --scope username'
     );
   }
 
-  const pattern = parts.slice(1).join(' ').trim();
-  
+  let result;
   try {
-    const patternObj = createPatternObject(pattern);
-    let patterns = groupPatterns.get(groupId) || [];
-    
-    if (patterns.some(p => p.raw === patternObj.raw)) {
-      console.log(`[COMMAND] Pattern already exists: "${patternObj.raw}"`);
-      return ctx.reply(`Pattern "${patternObj.raw}" already exists.`);
-    }
-    
-    if (patterns.length >= 100) {
-      console.log(`[COMMAND] Maximum patterns reached for group ${groupId}`);
-      return ctx.reply(`Maximum patterns reached (100 per group).`);
-    }
-    
-    patterns.push(patternObj);
-    groupPatterns.set(groupId, patterns);
-    await saveGroupPatterns(groupId, patterns);
-    
-    console.log(`[COMMAND] Added pattern "${patternObj.raw}" to group ${groupId}`);
-    return ctx.reply(`Added filter: "${patternObj.raw}"`);
-  } catch (error) {
-    console.error(`[COMMAND] addFilter error:`, error);
-    return ctx.reply(`Error: ${error.message}`);
+    const { pattern, metadata } = parseFilterInput(parts.slice(1).join(' '));
+    result = await addGroupPattern(groupId, pattern, adminId, metadata, { exception: true });
+  } catch (err) {
+    result = { success: false, message: err.message };
+  }
+  
+  if (!result.success) {
+    return ctx.reply(`Error: ${result.message}`);
   }
+  return ctx.reply(`${result.message} to Group ${groupId}${formatPatternWarnings(result.pattern)}`);
 });
 
-bot.command('removeFilter', async (ctx) => {
+bot.command('removeException', async (ctx) => {
   if (ctx.chat.type !== 'private' || !(await isAuthorized(ctx))) return;
 
-  console.log(`[COMMAND] /removeFilter from admin ${ctx.from.id}: "${ctx.message.text}"`);
+  console.log(`[COMMAND] /removeException from admin ${ctx.from.id}: "${ctx.message.text}"`);
+  
+  const adminId = ctx.from.id;
+  let session = adminSessions.get(adminId) || { chatId: ctx.chat.id };
+  const groupId = session.selectedGroupId;
+
+  if (!groupId || !hasGroupRole(adminId, groupId, 'owner')) {
+    console.log(`[COMMAND] No group selected for removeException where ${adminId} is an owner`);
+    return ctx.reply(describeRoleDenial(adminId, groupId, 'owner'));
+  }
+
+  const parts = ctx.message.text.split(' ');
+  if (parts.length < 2) {
+    return ctx.reply(`Usage: /removeException <pattern>\n\nExceptions for Group ${groupId}:\n${formatExceptionList(groupId, { html: false })}`);
+  }
+
+  const result = await removeGroupException(groupId, parts.slice(1).join(' ').trim(), adminId);
+  return ctx.reply(result.message);
+});
+
+bot.command('listExceptions', async (ctx) => {
+  if (ctx.chat.type !== 'private' || !(await isAuthorized(ctx))) return;
+
+  console.log(`[COMMAND] /listExceptions from admin ${ctx.from.id}`);
   
   const adminId = ctx.from.id;
   let session = adminSessions.get(adminId) || { chatId: ctx.chat.id };
   const groupId = session.selectedGroupId;
 
   if (!groupId || !canManageGroup(adminId, groupId)) {
-    console.log(`[COMMAND] No manageable group selected for removeFilter`);
+    console.log(`[COMMAND] No manageable group selected for listExceptions`);
     return ctx.reply('No group selected or permission denied. Use /menu to select a group first.');
   }
 
-  let patterns = groupPatterns.get(groupId) || [];
+  return ctx.reply(`Exceptions for Group ${groupId}:\n${formatExceptionList(groupId, { html: false })}`);
+});
 
-  const parts = ctx.message.text.split(' ');
-  if (parts.length < 2) {
-    if (patterns.length === 0) {
-      console.log(`[COMMAND] No patterns to remove for group ${groupId}`);
-      return ctx.reply(`No patterns exist to remove for Group ${groupId}.`);
+// Shared handler for /exempt and /unexempt
+async function handleSetUserExempt(ctx, exempt) {
+  const command = exempt ? 'exempt' : 'unexempt';
+  if (ctx.chat.type !== 'private' || !(await isAuthorized(ctx))) return;
+
+  console.log(`[COMMAND] /${command} from admin ${ctx.from.id}: "${ctx.message.text}"`);
+  
+  const adminId = ctx.from.id;
+  let session = adminSessions.get(adminId) || { chatId: ctx.chat.id };
+  const groupId = session.selectedGroupId;
+
+  if (!groupId || !hasGroupRole(adminId, groupId, 'owner')) {
+    console.log(`[COMMAND] No group selected for ${command} where ${adminId} is an owner`);
+    return ctx.reply(describeRoleDenial(adminId, groupId, 'owner'));
+  }
+
+  const userId = parseUserId(ctx.message.text.split(' ').slice(1).join(' '));
+  if (!userId) {
+    return ctx.reply(`Usage: /${command} <user_id>`);
+  }
+
+  const result = await setUserExempt(groupId, userId, exempt, adminId);
+  return ctx.reply(result.message);
+}
+
+bot.command('exempt', (ctx) => handleSetUserExempt(ctx, true));
+bot.command('unexempt', (ctx) => handleSetUserExempt(ctx, false));
+
+bot.command('unban', async (ctx) => {
+  if (ctx.chat.type !== 'private' || !(await isAuthorized(ctx))) return;
+
+  console.log(`[COMMAND] /unban from admin ${ctx.from.id}: "${ctx.message.text}"`);
+
+  const adminId = ctx.from.id;
+  const { text: target, options } = splitCommandOptions(ctx.message.text.split(' ').slice(1).join(' '));
+  const unknown = options.find(([name]) => name !== 'exempt' && name !== 'fp');
+  if (!target || unknown) {
+    return ctx.reply('Usage: /unban <user_id|@username> [--exempt] [--fp]\n\n--exempt also exempts the user, --fp counts a false positive against the pattern that matched.');
+  }
+  const exempt = options.some(([name]) => name === 'exempt');
+  const falsePositive = options.some(([name]) => name === 'fp');
+
+  // Groups with a recorded action against the user; a plain user ID also works without one.
+  // Lifting an action needs the editor role, exempting the user the owner role.
+  const managedGroups = getManagedGroups(adminId).filter(groupId => hasGroupRole(adminId, groupId, 'editor'));
+  const recorded = findRecentActions(target).filter(entry => managedGroups.includes(entry.chatId));
+  const userId = parseUserId(target) || recorded[0]?.userId;
+  if (!userId) {
+    return ctx.reply(`No recent action against ${target} in your groups. Use the numeric user ID instead.`);
+  }
+  const groupIds = recorded.length > 0 ? [...new Set(recorded.map(entry => entry.chatId))] : managedGroups;
+  if (groupIds.length === 0) {
+    return ctx.reply('You are not an editor in any group.');
+  }
+
+  const lines = [];
+  for (const groupId of groupIds) {
+    try {
+      const canExempt = exempt && hasGroupRole(adminId, groupId, 'owner');
+      const done = await reverseAction(groupId, userId, { exempt: canExempt, falsePositive, adminId });
+      if (exempt && !canExempt) done.push('not exempted (needs the owner role)');
+      lines.push(`Group ${groupId}: ${done.join(', ')}`);
+    } catch (err) {
+      console.error(`[COMMAND] /unban of user ${userId} in group ${groupId} failed:`, err);
+      lines.push(`Group ${groupId}: failed - ${err.message}`);
     }
-    console.log(`[COMMAND] removeFilter usage help requested`);
-    const patternsList = patterns.map(p => `- ${p.raw}`).join('\n');
-    return ctx.reply(`Usage: /removeFilter <pattern>\nCurrent patterns for Group ${groupId}:\n${patternsList}`);
   }
+  if (falsePositive && recorded.length === 0) {
+    lines.push('\nNo recent action was recorded, so no false positive was counted.');
+  }
+
+  return ctx.reply(`User ${userId}:\n${lines.join('\n')}`);
+});
 
-  const pattern = parts.slice(1).join(' ').trim();
-  const index = patterns.findIndex(p => p.raw === pattern);
+// Ban a user ID: "/banid <user_id> [--global] [--note <reason>]" in private chat for the selected
+// group, or in a group as a reply to one of the user's messages
+bot.command('banid', async (ctx, next) => {
+  const isGroupChat = ctx.chat.type === 'group' || ctx.chat.type === 'supergroup';
+  if (isGroupChat ? !isChatAllowed(ctx) : (ctx.chat.type !== 'private' || !(await isAuthorized(ctx)))) return;
 
-  if (index !== -1) {
-    patterns.splice(index, 1);
-    groupPatterns.set(groupId, patterns);
-    await saveGroupPatterns(groupId, patterns);
-    console.log(`[COMMAND] Removed pattern "${pattern}" from group ${groupId}`);
-    return ctx.reply(`Filter removed: "${pattern}" from Group ${groupId}`);
-  } else {
-    console.log(`[COMMAND] Pattern not found: "${pattern}" in group ${groupId}`);
-    return ctx.reply(`Filter "${pattern}" not found in Group ${groupId}.`);
+  console.log(`[COMMAND] /banid from ${ctx.from.id} in chat ${ctx.chat.id}: "${ctx.message.text}"`);
+
+  const adminId = ctx.from.id;
+  const groupId = isGroupChat ? ctx.chat.id : (adminSessions.get(adminId) || {}).selectedGroupId;
+  const { text: target, options } = splitCommandOptions(ctx.message.text.split(' ').slice(1).join(' '));
+  const replied = isGroupChat ? ctx.message.reply_to_message : null;
+  const userId = replied ? replied.from?.id : parseUserId(target);
+  const global = options.some(([name]) => name === 'global');
+  const note = options.find(([name]) => name === 'note')?.[1].slice(0, 200) || null;
+  const unknown = options.find(([name]) => name !== 'global' && name !== 'note');
+
+  if (!groupId || !hasGroupRole(adminId, groupId, 'editor')) {
+    // From an ordinary member in a group this is just a message, checked like any other
+    return isGroupChat ? next() : ctx.reply(describeRoleDenial(adminId, groupId, 'editor'));
+  }
+  if (!userId || unknown) {
+    return ctx.reply(
+      'Usage: /banid <user_id> [--global] [--note <reason>], or reply to a message in the group with /banid\n\n' +
+      '--global bans the user in every group (global admins only).' +
+      (isGroupChat ? '' : `\n\n${formatUserIdBans(groupId)}`)
+    );
+  }
+  if (global && !WHITELISTED_USER_IDS.includes(adminId)) {
+    return ctx.reply('Only global admins can ban a user ID in every group.');
+  }
+  if (userId === ctx.botInfo?.id || isGroupManager(userId, groupId)) {
+    return ctx.reply('Group admins cannot be banned by ID.');
+  }
+
+  const result = await addUserIdBan(global ? null : groupId, userId, adminId, note);
+  if (replied && result.success) {
+    await deleteMessageQuietly(groupId, replied.message_id, 'message of the banned user');
+  }
+  return ctx.reply(result.message);
+});
+
+bot.command('unbanid', async (ctx) => {
+  if (ctx.chat.type !== 'private' || !(await isAuthorized(ctx))) return;
+
+  console.log(`[COMMAND] /unbanid from admin ${ctx.from.id}: "${ctx.message.text}"`);
+
+  const adminId = ctx.from.id;
+  const groupId = (adminSessions.get(adminId) || {}).selectedGroupId;
+  if (!groupId || !hasGroupRole(adminId, groupId, 'editor')) {
+    return ctx.reply(describeRoleDenial(adminId, groupId, 'editor'));
+  }
+  const { text: target, options } = splitCommandOptions(ctx.message.text.split(' ').slice(1).join(' '));
+  const userId = parseUserId(target);
+  const global = options.some(([name]) => name === 'global');
+  if (!userId || options.some(([name]) => name !== 'global')) {
+    return ctx.reply(`Usage: /unbanid <user_id> [--global]\n\n${formatUserIdBans(groupId)}`);
+  }
+  if (global && !WHITELISTED_USER_IDS.includes(adminId)) {
+    return ctx.reply('Only global admins can lift a ban by ID in every group.');
   }
+
+  const result = await removeUserIdBan(global ? null : groupId, userId, adminId);
+  return ctx.reply(result.message);
 });
 
 bot.command('listFilters', async (ctx) => {
@@ -1462,7 +4715,7 @@ bot.command('listFilters', async (ctx) => {
   }
 
   console.log(`[COMMAND] Listing ${patterns.length} patterns for group ${groupId}`);
-  const list = patterns.map(p => `- ${p.raw}`).join('\n');
+  const list = patterns.map((p, index) => formatPatternLine(p, index, { html: false })).join('\n');
   return ctx.reply(`Current filter patterns for Group ${groupId}:\n${list}`);
 });
 
@@ -1477,16 +4730,18 @@ bot.command('chatinfo', async (ctx) => {
   const isAuth = await isAuthorized(ctx);
   const groupAction = getGroupAction(chatId);
   
-  let reply = `Chat: "${chatTitle}"\nID: ${chatId}\nType: ${chatType}\nBot allowed: ${isAllowed ? 'Yes' : 'No'}\nCan configure: ${isAuth ? 'Yes' : 'No'}\nCurrent action: ${groupAction.toUpperCase()}\n\n`;
+  let reply = `Chat: "${chatTitle}"\nID: ${chatId}\nType: ${chatType}\nBot allowed: ${isAllowed ? 'Yes' : 'No'}\nCan configure: ${isAuth ? 'Yes' : 'No'}\nCurrent action: ${formatAction(groupAction)}\n\n`;
 
   if (chatType === 'group' || chatType === 'supergroup') {
-    reply += `Whitelisted group IDs: ${WHITELISTED_GROUP_IDS.join(', ')}\nID match: ${WHITELISTED_GROUP_IDS.includes(chatId) ? 'Yes' : 'No'}\n`;
+    reply += `Enrolled group IDs: ${getEnrolledGroups().join(', ')}\nID match: ${isGroupEnrolled(chatId) ? 'Yes' : 'No'}\n`;
 
-    if (WHITELISTED_GROUP_IDS.includes(chatId)) {
+    if (isGroupEnrolled(chatId)) {
       const patterns = groupPatterns.get(chatId) || [];
       reply += `\nThis group has ${patterns.length} banned patterns.`;
+    } else if (settings.pendingGroups[chatId]) {
+      reply += `\nThis group is waiting for a global admin's approval.`;
     } else {
-      reply += `\nThis group's ID is not whitelisted!`;
+      reply += `\nThis group is not enrolled! A global admin can add the bot to enroll it.`;
     }
   }
 
@@ -1504,75 +4759,56 @@ bot.command('setaction', async (ctx) => {
   
   console.log(`[COMMAND] /setaction from user ${ctx.from.id}: "${ctx.message.text}"`);
   
-  const args = ctx.message.text.split(' ');
+  const spec = ctx.message.text.split(' ').slice(1).join(' ').trim();
   const userId = ctx.from.id;
+  const inGroup = ctx.chat.type === 'group' || ctx.chat.type === 'supergroup';
   
-  // If in group, check if user can manage that specific group
-  if (ctx.chat.type === 'group' || ctx.chat.type === 'supergroup') {
-    const groupId = ctx.chat.id;
-    
-    if (!canManageGroup(userId, groupId)) {
-      console.log(`[COMMAND] User ${userId} cannot manage group ${groupId}`);
-      return ctx.reply('You do not have permission to configure this group.');
-    }
-    
-    const currentAction = getGroupAction(groupId);
-    
-    if (args.length < 2) {
-      console.log(`[COMMAND] setaction usage help for group ${groupId}`);
-      return ctx.reply(`Current action for this group: ${currentAction.toUpperCase()}\nUsage: /setaction <ban|kick>`);
-    }
-    
-    const action = args[1].toLowerCase();
-    if (action !== 'ban' && action !== 'kick') {
-      console.log(`[COMMAND] Invalid action: ${action}`);
-      return ctx.reply('Invalid action. Use "ban" or "kick".');
-    }
-    
-    settings.groupActions[groupId] = action;
-    const success = await saveSettings();
-    if (success) {
-      console.log(`[COMMAND] Action updated for group ${groupId}: ${action.toUpperCase()}`);
-      return ctx.reply(`Action updated to: ${action.toUpperCase()} for this group`);
-    } else {
-      console.log(`[COMMAND] Failed to save settings for group ${groupId}`);
-      return ctx.reply('Failed to save settings. Check logs for details.');
-    }
-  } 
+  // In a group, configure that group; in private chat, the selected group from the session
+  const groupId = inGroup ? ctx.chat.id : (adminSessions.get(userId) || {}).selectedGroupId;
+  const groupLabel = inGroup ? 'this group' : `Group ${groupId}`;
   
-  // If in private chat, use selected group from session
-  else {
-    console.log(`[COMMAND] setaction in private chat`);
-    const session = adminSessions.get(userId) || {};
-    const groupId = session.selectedGroupId;
-    
-    if (!groupId || !canManageGroup(userId, groupId)) {
-      console.log(`[COMMAND] User ${userId} cannot manage selected group ${groupId}`);
-      return ctx.reply('You do not have permission to manage the selected group. Use /menu to see available options.');
-    }
-    
-    const currentAction = getGroupAction(groupId);
-    
-    if (args.length < 2) {
-      console.log(`[COMMAND] setaction usage help for group ${groupId}`);
-      return ctx.reply(`Current action for Group ${groupId}: ${currentAction.toUpperCase()}\nUsage: /setaction <ban|kick>`);
-    }
-    
-    const action = args[1].toLowerCase();
-    if (action !== 'ban' && action !== 'kick') {
-      console.log(`[COMMAND] Invalid action: ${action}`);
-      return ctx.reply('Invalid action. Use "ban" or "kick".');
-    }
-    
-    settings.groupActions[groupId] = action;
-    const success = await saveSettings();
-    if (success) {
-      console.log(`[COMMAND] Action updated for group ${groupId}: ${action.toUpperCase()}`);
-      return ctx.reply(`Action updated to: ${action.toUpperCase()} for Group ${groupId}`);
-    } else {
-      console.log(`[COMMAND] Failed to save settings for group ${groupId}`);
-      return ctx.reply('Failed to save settings. Check logs for details.');
+  if (!groupId || !canManageGroup(userId, groupId)) {
+    console.log(`[COMMAND] User ${userId} cannot manage group ${groupId}`);
+    return ctx.reply(inGroup
+      ? 'You do not have permission to configure this group.'
+      : 'You do not have permission to manage the selected group. Use /menu to see available options.');
+  }
+  
+  // Anyone who can manage the group may see its action; changing it needs the owner role
+  if (!(inGroup && !spec) && !hasGroupRole(userId, groupId, 'owner')) {
+    return ctx.reply(describeRoleDenial(userId, groupId, 'owner'));
+  }
+  
+  if (!spec) {
+    // Private chats get the chooser, groups a usage message
+    if (!inGroup) {
+      const session = adminSessions.get(userId);
+      session.menuMessageId = null;
+      adminSessions.set(userId, session);
+      return showActionMenu(ctx);
     }
+    console.log(`[COMMAND] setaction usage help for group ${groupId}`);
+    return ctx.reply(
+      `Current action for ${groupLabel}: ${formatAction(getGroupAction(groupId))}\n` +
+      `Usage: /setaction <warn | mute [duration] | kick | ban [duration]>\n` +
+      `Prefix with "warn" to warn first and act on a repeat, e.g. /setaction warn mute 1h`
+    );
+  }
+  
+  let success;
+  try {
+    success = await setGroupAction(groupId, spec, userId);
+  } catch (err) {
+    console.log(`[COMMAND] Invalid action: ${spec}`);
+    return ctx.reply(err.message);
+  }
+  
+  if (success) {
+    console.log(`[COMMAND] Action updated for group ${groupId}: ${getGroupAction(groupId)}`);
+    return ctx.reply(`Action updated to: ${formatAction(getGroupAction(groupId))} for ${groupLabel}`);
+  } else {
+    console.log(`[COMMAND] Failed to save settings for group ${groupId}`);
+    return ctx.reply('Failed to save settings. Check logs for details.');
   }
 });
 
@@ -1607,17 +4843,20 @@ bot.command('testuser', async (ctx) => {
   
   console.log(`[COMMAND] /testuser from admin ${ctx.from.id}: "${ctx.message.text}"`);
   
-  const parts = ctx.message.text.split(' ');
+  const { text: commandText, options } = splitCommandOptions(ctx.message.text);
+  const parts = commandText.split(' ');
   if (parts.length < 3) {
     console.log(`[COMMAND] testuser usage help requested`);
     return ctx.reply(
-      `<b>Usage: /testuser &lt;pattern&gt; &lt;username&gt; [first_name] [last_name]</b>\n\n` +
+      `<b>Usage: /testuser &lt;pattern&gt; &lt;username&gt; [first_name] [last_name] [--scope &lt;scope&gt;] [--bio &lt;text&gt;]</b>\n\n` +
       `<b>Examples:</b>\n` +
       `<code>/testuser spam spammer123</code>\n` +
       `<code>/testuser *bot* testbot</code>\n` +
       `<code>/testuser evil eviluser "Evil User"</code>\n` +
-      `<code>/testuser /^bad/i badguy "Bad" "Guy"</code>\n\n` +
-      `This simulates the full ban check process including all name variations.`,
+      `<code>/testuser /^bad/i badguy "Bad" "Guy"</code>\n` +
+      `<code>/testuser *bot testbot "Robot Fan" --scope username</code>\n\n` +
+      `This simulates the full ban check process including all name variations. ` +
+      `Without --scope, a pattern that exists in the selected group is tested with its own scope.`,
       { parse_mode: 'HTML' }
     );
   }
@@ -1652,50 +4891,47 @@ bot.command('testuser', async (ctx) => {
     
     console.log(`[TESTUSER] Testing pattern "${pattern}" against user: @${username || 'none'}, "${firstName || ''} ${lastName || ''}".trim()`);
     
-    // Simulate the exact logic from isBanned function
+    // Simulate the exact logic from isBanned function, using the selected group's options
+    const session = adminSessions.get(ctx.from.id) || {};
+    const foldLeetspeak = session.selectedGroupId ? getGroupOptions(session.selectedGroupId).foldLeetspeak : false;
+    const existing = (groupPatterns.get(session.selectedGroupId) || []).find(p => p.raw === patternObj.raw);
+    let scope = existing ? existing.scope : null;
+    let bio = null;
+    for (const [name, value] of options) {
+      if (name === 'scope') {
+        scope = parsePatternScope(value);
+      } else if (name === 'bio') {
+        bio = value;
+      } else {
+        throw new Error(`Unknown option --${name}. Supported: --scope <scope>, --bio <text>`);
+      }
+    }
+    const scopeFields = new Set(scope || DEFAULT_PATTERN_SCOPE);
+    
+    const displayName = [firstName, lastName].filter(Boolean).join(' ');
     let testResults = [];
     let overallBanned = false;
     
-    // Test username if provided
-    if (username) {
-      const usernameMatch = await matchesPattern(pattern, username.toLowerCase());
+    for (const variation of getNameVariations(username, firstName, lastName, { foldLeetspeak, bio })) {
+      if (!scopeFields.has(variation.field)) {
+        testResults.push({ type: variation.label, value: variation.value, tested: variation.tested, result: null });
+        continue;
+      }
+      const match = await matchesPattern(pattern, variation.tested);
       testResults.push({
-        type: 'Username',
-        value: username,
-        tested: username.toLowerCase(),
-        result: usernameMatch
+        type: variation.label,
+        value: variation.value,
+        tested: variation.tested,
+        result: match
       });
-      if (usernameMatch) overallBanned = true;
-    }
-    
-    // Test display name variations if provided
-    const displayName = [firstName, lastName].filter(Boolean).join(' ');
-    if (displayName) {
-      const variations = [
-        { name: 'Display name', value: displayName },
-        { name: 'Without quotes', value: displayName.replace(/["'`]/g, '') },
-        { name: 'Without spaces', value: displayName.replace(/\s+/g, '') },
-        { name: 'Without quotes & spaces', value: displayName.replace(/["'`\s]/g, '') }
-      ];
-      
-      for (const variation of variations) {
-        if (variation.value) {
-          const match = await matchesPattern(pattern, variation.value.toLowerCase());
-          testResults.push({
-            type: variation.name,
-            value: variation.value,
-            tested: variation.value.toLowerCase(),
-            result: match
-          });
-          if (match) overallBanned = true;
-        }
-      }
+      if (match) overallBanned = true;
     }
     
     // Format results
     let response = `<b>User Ban Test Results</b>\n\n`;
     response += `<b>Pattern:</b> <code>${pattern}</code>\n`;
-    response += `<b>Pattern Type:</b> ${patternObj.regex.source ? 'Regex' : pattern.includes('*') || pattern.includes('?') ? 'Wildcard' : 'Simple Text'}\n\n`;
+    response += `<b>Pattern Type:</b> ${{ regex: 'Regex', wildcard: 'Wildcard', text: 'Simple Text' }[patternObj.type]}\n`;
+    response += `<b>Scope:</b> ${describePatternScope(scope)}\n\n`;
     
     if (username) {
       response += `<b>Username:</b> @${username}\n`;
@@ -1703,14 +4939,18 @@ bot.command('testuser', async (ctx) => {
     if (displayName) {
       response += `<b>Display Name:</b> "${displayName}"\n`;
     }
+    if (bio) {
+      response += `<b>Bio:</b> "${escapeHtml(bio)}"\n`;
+    }
+    response += `Leetspeak folding: ${foldLeetspeak ? 'ON' : 'OFF'}\n`;
     response += `\n<b>Test Results:</b>\n`;
     
     if (testResults.length === 0) {
       response += `No username or display name provided to test.\n\n`;
     } else {
       for (const test of testResults) {
-        const status = test.result ? 'MATCH' : 'no match';
-        response += `• ${test.type}: "${test.value}" → <code>${test.tested}</code> → <b>${status}</b>\n`;
+        const status = test.result === null ? 'not in scope' : (test.result ? 'MATCH' : 'no match');
+        response += `• ${test.type}: "${escapeHtml(test.value)}" → <code>${escapeHtml(test.tested)}</code> → <b>${status}</b>\n`;
       }
       response += `\n`;
     }
@@ -1750,38 +4990,25 @@ bot.command('hits', async (ctx) => {
   const args = ctx.message.text.split(' ').slice(1);
 
   // Only allow in whitelisted groups or admin DMs
-  if (!isPrivate && !WHITELISTED_GROUP_IDS.includes(ctx.chat.id)) {
+  if (!isPrivate && !isGroupEnrolled(ctx.chat.id)) {
     return ctx.reply('This group is not authorized for stats.');
   }
 
+  // Optional leading time window: /hits 7d [pattern]
+  const window = HIT_WINDOWS[args[0]?.toLowerCase()] ? args.shift().toLowerCase() : 'all';
+
   // Pattern-specific (admin/DM only)
   if (isAdmin && args.length > 0) {
     const patternRaw = args.join(' ').trim();
-    const stats = getHitStatsForPattern(patternRaw);
-    if (stats.length === 0) {
-      return ctx.reply(`No recorded hits for pattern:\n<code>${patternRaw}</code>`, { parse_mode: 'HTML' });
-    }
-    let reply = `Hit counts for pattern <code>${patternRaw}</code>:\n`;
-    for (const { groupId, count } of stats) {
-      reply += `• Group <b>${groupId}</b>: <b>${count}</b> hit(s)\n`;
-    }
-    return ctx.reply(reply, { parse_mode: 'HTML' });
+    return ctx.reply(formatPatternHitStats(patternRaw, window, ctx.from.id), { parse_mode: 'HTML' });
   }
 
   // Group stats (group or DM)
   const groupId = isPrivate ? (adminSessions.get(ctx.from.id)?.selectedGroupId) : ctx.chat.id;
-  if (!groupId || !hitCounters[groupId] || Object.keys(hitCounters[groupId]).length === 0) {
-    return ctx.reply(`No pattern hits recorded for this group yet.`);
+  if (!groupId) {
+    return ctx.reply('No group selected. Use /menu to select a group first.');
   }
-  const stats = getHitStatsForGroup(groupId, 10);
-  let reply = `<b>Top Pattern Hits in Group ${groupId}</b>:\n`;
-  for (const { pattern, count } of stats) {
-    reply += `• <code>${pattern}</code>: <b>${count}</b>\n`;
-  }
-  const total = Object.values(hitCounters[groupId]).reduce((a, b) => a + b, 0);
-  reply += `\n<b>Total matches:</b> ${total}`;
-
-  return ctx.reply(reply, { parse_mode: 'HTML' });
+  return ctx.reply(formatGroupHitStats(groupId, window), { parse_mode: 'HTML' });
 });
 
 // Help and Start commands
@@ -1798,7 +5025,7 @@ bot.command('help', async (ctx) => {
     `1. Add this bot to your group as an admin\n` +
     `2. Send /menu in a private chat with the bot\n` +
     `3. Configure patterns that should be banned\n` +
-    `4. Choose ban (permanent) or kick (temporary) action\n\n` +
+    `4. Choose an action: warn, mute, kick or ban (optionally warning first)\n\n` +
     
     `<b>Quick Commands:</b>\n` +
     `• /menu - Open configuration menu\n` +
@@ -1846,7 +5073,7 @@ bot.command('start', async (ctx) => {
     `1. Use the menu below to configure patterns\n` +
     `2. Select your group (if you manage multiple)\n` +
     `3. Add patterns (text, wildcards, or regex)\n` +
-    `4. Choose ban or kick action\n\n` +
+    `4. Choose an action: warn, mute, kick or ban\n\n` +
     
     `<b>Pattern Examples:</b>\n` +
     `• <code>spam</code> - blocks substring "spam"\n` +
@@ -1882,25 +5109,6 @@ bot.use((ctx, next) => {
   return next();
 });
 
-bot.use(async (ctx, next) => {
-  if (ctx.chat?.type === 'group' || ctx.chat?.type === 'supergroup') {
-    if (WHITELISTED_GROUP_IDS.includes(ctx.chat.id)) {
-      try {
-        const userId = ctx.from?.id;
-        if (userId && !WHITELISTED_USER_IDS.includes(userId) && !knownGroupAdmins.has(userId)) {
-          console.log(`[MIDDLEWARE] Checking admin status for user ${userId} in background`);
-          checkAndCacheGroupAdmin(userId, bot).catch(err => {
-            console.error(`[MIDDLEWARE] Error checking admin status: ${err.message}`);
-          });
-        }
-      } catch (error) {
-        console.error(`[MIDDLEWARE] Error in admin cache middleware: ${error.message}`);
-      }
-    }
-  }
-  return next();
-});
-
 // New users handler
 bot.on('new_chat_members', async (ctx) => {
   console.log(`[EVENT] New chat members event in chat ${ctx.chat.id}`);
@@ -1920,14 +5128,101 @@ bot.on('new_chat_members', async (ctx) => {
     const lastName = user.last_name;
     const displayName = [firstName, lastName].filter(Boolean).join(' ');
     console.log(`[EVENT] Checking new user: ${user.id} (@${username || 'no_username'}) Name: ${displayName}`);
+    rememberMemberName(chatId, user);
 
-    if (await isBanned(username, firstName, lastName, chatId)) {
+    const match = getUserIdBanMatch(chatId, user.id) || getFederationMatch(chatId, user.id) ||
+      await isBanned(username, firstName, lastName, chatId, user.id);
+    if (match) {
       console.log(`[EVENT] New user ${user.id} is banned - taking action`);
-      await takePunishmentAction(ctx, user.id, displayName || username || user.id, chatId);
+      await takePunishmentAction(ctx, user.id, displayName || username || user.id, chatId, match, { user });
     } else {
       console.log(`[EVENT] New user ${user.id} passed initial check - starting monitoring`);
-      monitorNewUser(chatId, user);
+      monitorNewUser(chatId, user, ctx.message.message_id);
+    }
+  }
+});
+
+// The bot itself was added to or removed from a group
+bot.on('my_chat_member', async (ctx) => {
+  const { chat, from, old_chat_member: oldMember, new_chat_member: newMember } = ctx.myChatMember;
+  if (chat.type !== 'group' && chat.type !== 'supergroup') return;
+  
+  const isPresent = (member) => ['member', 'administrator', 'creator'].includes(member.status) ||
+    (member.status === 'restricted' && member.is_member);
+  console.log(`[ENROLL] Bot status in ${chat.id} changed from ${oldMember.status} to ${newMember.status} by ${from.id}`);
+  
+  if (!isPresent(newMember)) {
+    if (isGroupEnrolled(chat.id) || settings.pendingGroups[chat.id]) {
+      await removeGroup(chat.id, `bot ${newMember.status === 'kicked' ? 'removed' : 'left'} (by ${from.id})`);
+    }
+    return;
+  }
+  
+  // Promotions and other changes while the bot stays in the group
+  if (isPresent(oldMember) || isGroupEnrolled(chat.id)) return;
+  
+  try {
+    if (WHITELISTED_USER_IDS.includes(from.id)) {
+      const result = await enrollGroup(chat.id, from.id);
+      await bot.telegram.sendMessage(chat.id, `${result.message}\nMake me an admin with ban rights so I can act on users.`);
+    } else {
+      const result = await requestGroupEnrollment(chat, from);
+      await bot.telegram.sendMessage(chat.id, result.message);
+    }
+  } catch (err) {
+    console.error(`[ENROLL] Error handling bot addition to ${chat.id}:`, err);
+  }
+});
+
+// Member update handler - re-checks a member whenever their name changes
+bot.on('chat_member', async (ctx) => {
+  if (!isChatAllowed(ctx)) {
+    console.log(`[NAME_CHANGE] Group ${ctx.chat.id} not allowed - skipping`);
+    return;
+  }
+
+  const chatId = ctx.chat.id;
+  const { old_chat_member: oldMember, new_chat_member: newMember } = ctx.chatMember;
+  const user = newMember.user;
+
+  // Promotions and demotions take effect right away instead of at the next cache refresh
+  const isAdminStatus = (member) => member.status === 'administrator' || member.status === 'creator';
+  if (!user.is_bot && isAdminStatus(oldMember) !== isAdminStatus(newMember)) {
+    setGroupAdminStatus(user.id, chatId, isAdminStatus(newMember));
+  }
+
+  // Only current members can be acted on; joins are handled by new_chat_members
+  const isMember = newMember.status === 'member' || (newMember.status === 'restricted' && newMember.is_member);
+  if (!isMember || user.is_bot) {
+    console.log(`[NAME_CHANGE] User ${user.id} status ${newMember.status} in chat ${chatId} - skipping`);
+    return;
+  }
+
+  const oldName = rememberMemberName(chatId, user) || formatMemberName(oldMember.user);
+  const newName = formatMemberName(user);
+
+  if (oldName === newName) {
+    console.log(`[NAME_CHANGE] User ${user.id} in chat ${chatId} - no name change`);
+    return;
+  }
+
+  console.log(`[NAME_CHANGE] User ${user.id} in chat ${chatId} renamed: ${oldName} -> ${newName}`);
+
+  const displayName = [user.first_name, user.last_name].filter(Boolean).join(' ');
+  const match = await isBanned(user.username, user.first_name, user.last_name, chatId, user.id);
+  if (match) {
+    console.log(`[NAME_CHANGE] User ${user.id} matched pattern after rename - taking action`);
+
+    // No need to keep polling a user we have already acted on
+    const key = `${chatId}_${user.id}`;
+    if (newJoinMonitors[key]) {
+      clearInterval(newJoinMonitors[key]);
+      delete newJoinMonitors[key];
     }
+
+    await takePunishmentAction(ctx, user.id, displayName || user.username || user.id, chatId, match, { user });
+  } else {
+    console.log(`[NAME_CHANGE] User ${user.id} passed check after rename`);
   }
 });
 
@@ -1943,9 +5238,15 @@ bot.on('message', async (ctx, next) => {
 
   console.log(`[MESSAGE] User ${ctx.from.id} (@${username || 'no_username'}) sending message in chat ${chatId}`);
 
-  if (await isBanned(username, firstName, lastName, chatId)) {
+  const previousName = rememberMemberName(chatId, ctx.from);
+  if (previousName && previousName !== formatMemberName(ctx.from)) {
+    console.log(`[NAME_CHANGE] User ${ctx.from.id} in chat ${chatId} renamed: ${previousName} -> ${formatMemberName(ctx.from)}`);
+  }
+
+  const match = getUserIdBanMatch(chatId, ctx.from.id) || await isBanned(username, firstName, lastName, chatId, ctx.from.id);
+  if (match) {
     console.log(`[MESSAGE] User ${ctx.from.id} is banned - taking action`);
-    await takePunishmentAction(ctx, ctx.from.id, displayName || username || ctx.from.id, chatId);
+    await takePunishmentAction(ctx, ctx.from.id, displayName || username || ctx.from.id, chatId, match, { user: ctx.from });
   } else {
     console.log(`[MESSAGE] User ${ctx.from.id} passed check - allowing message`);
     return next();
@@ -1959,13 +5260,22 @@ async function startup() {
   await ensureBannedPatternsDirectory();
   await loadSettings();
   await loadAllGroupPatterns();
+  await loadLibraries();
+  await disableExpiredPatterns();
   await loadHitCounters();
+  await loadFederationBans();
+  await loadBannedUserIds();
+  
+  // Expired patterns are switched off within a few minutes of their expiry date
+  expiryInterval = setInterval(() => {
+    disableExpiredPatterns().catch(err => console.error(`[EXPIRY] Error disabling expired patterns:`, err));
+  }, 5 * 60 * 1000);
 
   // Initialize auth system
   await setupAuth(bot);
 
-  // Ensure all whitelisted groups have an action setting
-  WHITELISTED_GROUP_IDS.forEach(groupId => {
+  // Ensure all enrolled groups have an action setting
+  getEnrolledGroups().forEach(groupId => {
     if (!settings.groupActions[groupId]) {
       settings.groupActions[groupId] = 'kick';
       console.log(`[STARTUP] Set default action for group ${groupId}: ${'kick'}`);
@@ -1991,6 +5301,8 @@ async function startup() {
 const cleanup = (signal) => {
   console.log(`\n[CLEANUP] Received ${signal}. Shutting down gracefully...`);
   Object.values(newJoinMonitors).forEach(interval => clearInterval(interval));
+  clearInterval(expiryInterval);
+  shutdownRegexPool().catch(err => console.error(`[CLEANUP] Error stopping regex workers:`, err));
   bot.stop(signal);
   setTimeout(() => {
     console.log('[CLEANUP] Forcing exit...');
@@ -2014,5 +5326,7 @@ if (process.env.NODE_ENV !== "test" && !process.argv.includes("--test")) {
 export { 
   incrementHitCounter, 
   getHitStatsForGroup,
-  getHitStatsForPattern
+  getHitStatsForPattern,
+  recordFalsePositive,
+  getFalsePositiveCount
 };
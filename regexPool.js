@@ -0,0 +1,153 @@
+// regexPool.js
+
+import { Worker } from 'worker_threads';
+import os from 'os';
+
+const POOL_SIZE = Math.max(1, Math.min(2, os.cpus().length - 1));
+const WORKER_URL = new URL('./regexWorker.js', import.meta.url);
+
+// How long a freshly spawned worker may take before it starts on a job
+const STARTUP_LIMIT_MS = 5000;
+
+const slots = []; // { worker, progress, job }
+const queue = []; // Jobs waiting for a free worker
+
+/**
+ * Spawn a worker and its shared progress counters
+ * @returns {Object} - Pool slot
+ */
+function createSlot() {
+  const progressBuffer = new SharedArrayBuffer(2 * Int32Array.BYTES_PER_ELEMENT);
+  const worker = new Worker(WORKER_URL, { workerData: { progressBuffer } });
+  const slot = { worker, progress: new Int32Array(progressBuffer), job: null };
+
+  worker.on('message', (result) => {
+    const job = slot.job;
+    if (!job) return;
+    finishJob(slot);
+
+    if (result.error) {
+      const err = new Error(`Pattern matching failed: ${result.error}`);
+      err.patternIndex = result.patternIndex;
+      job.reject(err);
+    } else {
+      job.resolve(result);
+    }
+  });
+
+  worker.on('error', (err) => {
+    console.error(`[REGEX_POOL] Worker error:`, err);
+    const job = slot.job;
+    replaceSlot(slot);
+    if (job) job.reject(err);
+  });
+
+  // Idle workers must not keep the process alive; a running job's watchdog does that.
+  // This has to come after the listeners above, since attaching them re-refs the worker.
+  worker.unref();
+
+  return slot;
+}
+
+// Terminate a slot's worker; drainQueue() spawns a fresh one when it is needed
+function replaceSlot(slot) {
+  if (slot.job) clearInterval(slot.job.watchdog);
+  slot.job = null;
+  slot.worker.removeAllListeners();
+  slot.worker.terminate().catch(() => {});
+
+  const index = slots.indexOf(slot);
+  if (index !== -1) {
+    slots.splice(index, 1);
+  }
+  drainQueue();
+}
+
+function finishJob(slot) {
+  clearInterval(slot.job.watchdog);
+  slot.job = null;
+  Atomics.store(slot.progress, 1, 0);
+  drainQueue();
+}
+
+function startJob(slot, job) {
+  slot.job = job;
+  Atomics.store(slot.progress, 0, -1);
+  Atomics.store(slot.progress, 1, 0);
+  slot.worker.postMessage({ patterns: job.patterns, inputs: job.inputs });
+
+  // The worker bumps its step counter after every single regex test, so a counter
+  // that hasn't moved for a whole tick means one test has run longer than timeoutMs
+  let lastStep = 0;
+  let startupWait = 0;
+  job.watchdog = setInterval(() => {
+    const step = Atomics.load(slot.progress, 1);
+
+    if (step === 0) {
+      startupWait += job.timeoutMs;
+      if (startupWait < STARTUP_LIMIT_MS) return;
+    } else if (step !== lastStep) {
+      lastStep = step;
+      return;
+    }
+
+    const patternIndex = Atomics.load(slot.progress, 0);
+    console.warn(`[REGEX_POOL] Pattern ${patternIndex} exceeded ${job.timeoutMs}ms - terminating worker`);
+    replaceSlot(slot);
+
+    const err = new Error(`Pattern matching timeout (${job.timeoutMs}ms)`);
+    err.code = 'PATTERN_TIMEOUT';
+    err.patternIndex = patternIndex;
+    job.reject(err);
+  }, job.timeoutMs);
+}
+
+function drainQueue() {
+  while (queue.length > 0) {
+    let slot = slots.find(s => !s.job);
+    if (!slot && slots.length < POOL_SIZE) {
+      slot = createSlot();
+      slots.push(slot);
+    }
+    if (!slot) return;
+    startJob(slot, queue.shift());
+  }
+}
+
+/**
+ * Test regexes against inputs in a worker thread, stopping at the first match
+ * @param {Object[]} patterns - Array of { source, flags, inputIndices? } (or RegExp objects);
+ *   inputIndices limits a pattern to some of the inputs
+ * @param {string[]} inputs - Strings to test every pattern against
+ * @param {number} timeoutMs - Maximum time a single regex test may take (default: 100)
+ * @returns {Promise<Object>} - { patternIndex, inputIndex } of the first match, or -1 for both
+ * @throws {Error} - With code 'PATTERN_TIMEOUT' and the offending patternIndex on timeout
+ */
+export function runRegexBatch(patterns, inputs, timeoutMs = 100) {
+  if (patterns.length === 0 || inputs.length === 0) {
+    return Promise.resolve({ patternIndex: -1, inputIndex: -1 });
+  }
+
+  return new Promise((resolve, reject) => {
+    queue.push({
+      patterns: patterns.map(({ source, flags, inputIndices }) => ({ source, flags, inputIndices })),
+      inputs,
+      timeoutMs,
+      resolve,
+      reject
+    });
+    drainQueue();
+  });
+}
+
+/**
+ * Terminate all workers (used on shutdown)
+ */
+export async function shutdownRegexPool() {
+  const workers = slots.splice(0).map(slot => {
+    if (slot.job) clearInterval(slot.job.watchdog);
+    return slot.worker.terminate();
+  });
+  await Promise.allSettled(workers);
+  console.log(`[REGEX_POOL] Terminated ${workers.length} worker(s)`);
+}
@@ -0,0 +1,52 @@
+// regexWorker.js - Runs regex tests off the main thread so a runaway pattern can be terminated
+
+import { parentPort, workerData } from 'worker_threads';
+
+// progress[0] = index of the pattern being tested, progress[1] = step counter (0 = idle)
+const progress = new Int32Array(workerData.progressBuffer);
+
+// Compiled regex cache: `${flags}/${source}` -> RegExp
+const compiled = new Map();
+const MAX_COMPILED = 1000;
+
+function getRegex(source, flags) {
+  const key = `${flags}/${source}`;
+  let regex = compiled.get(key);
+  if (!regex) {
+    regex = new RegExp(source, flags);
+    if (compiled.size >= MAX_COMPILED) {
+      compiled.delete(compiled.keys().next().value);
+    }
+    compiled.set(key, regex);
+  }
+  return regex;
+}
+
+parentPort.on('message', ({ patterns, inputs }) => {
+  let step = 1;
+  Atomics.store(progress, 1, step);
+
+  try {
+    for (let p = 0; p < patterns.length; p++) {
+      Atomics.store(progress, 0, p);
+      const regex = getRegex(patterns[p].source, patterns[p].flags);
+      const inputIndices = patterns[p].inputIndices || inputs.map((_, i) => i);
+
+      for (const i of inputIndices) {
+        // Global/sticky regexes keep state between test() calls
+        regex.lastIndex = 0;
+        const matched = regex.test(inputs[i]);
+        Atomics.store(progress, 1, ++step);
+
+        if (matched) {
+          parentPort.postMessage({ patternIndex: p, inputIndex: i });
+          return;
+        }
+      }
+    }
+
+    parentPort.postMessage({ patternIndex: -1, inputIndex: -1 });
+  } catch (err) {
+    parentPort.postMessage({ error: err.message, patternIndex: Atomics.load(progress, 0) });
+  }
+});
@@ -1,5 +1,7 @@
 // security.js
 
+import { runRegexBatch } from './regexPool.js';
+
 /**
  * Safe regex compilation with basic protections
  * @param {string} patternStr - The pattern string to compile
@@ -70,6 +72,251 @@ export function compileSafeRegex(patternStr) {
   return new RegExp(escaped, 'i');
 }
 
+// --- Static ReDoS analysis ---
+// A small parser for JS regex source that keeps just enough structure (groups,
+// alternatives, quantifiers and each element's first character) to spot the
+// constructs that cause catastrophic backtracking.
+
+function parseQuantifier(source, i) {
+  const ch = source[i];
+  let min, max, end;
+
+  if (ch === '*') {
+    [min, max, end] = [0, Infinity, i + 1];
+  } else if (ch === '+') {
+    [min, max, end] = [1, Infinity, i + 1];
+  } else if (ch === '?') {
+    [min, max, end] = [0, 1, i + 1];
+  } else if (ch === '{') {
+    const m = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i));
+    if (!m) return null;
+    min = parseInt(m[1]);
+    max = m[2] === undefined ? min : (m[3] === '' ? Infinity : parseInt(m[3]));
+    end = i + m[0].length;
+  } else {
+    return null;
+  }
+
+  // Lazy modifier
+  if (source[end] === '?') end++;
+  return { min, max, end };
+}
+
+function parseEscape(source, i) {
+  const c = source[i + 1];
+
+  if (/[1-9]/.test(c)) {
+    const m = /^\d+/.exec(source.slice(i + 1));
+    return { node: { kind: 'backref' }, end: i + 1 + m[0].length };
+  }
+  if (c === 'k' && source[i + 2] === '<') {
+    const close = source.indexOf('>', i);
+    return { node: { kind: 'backref' }, end: close === -1 ? source.length : close + 1 };
+  }
+  if (c === 'b' || c === 'B') {
+    return { node: { kind: 'assert' }, end: i + 2 };
+  }
+
+  const m = /^\\(?:u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|c[a-zA-Z]|[pP]\{[^}]*\}|[\s\S])/.exec(source.slice(i));
+  const text = m ? m[0] : source.slice(i);
+  return { node: { kind: 'atom', first: text }, end: i + text.length };
+}
+
+function parseClass(source, i) {
+  let j = i + 1;
+  while (j < source.length && source[j] !== ']') {
+    j += source[j] === '\\' ? 2 : 1;
+  }
+  return { node: { kind: 'atom', first: source.slice(i, j + 1) }, end: j + 1 };
+}
+
+// Parse a sequence of alternatives until the closing parenthesis (or the end)
+function parseAlternatives(source, start) {
+  const alternatives = [];
+  let current = { nodes: [], start };
+  let i = start;
+
+  while (i < source.length && source[i] !== ')') {
+    const ch = source[i];
+    let parsed;
+
+    if (ch === '|') {
+      current.text = source.slice(current.start, i);
+      alternatives.push(current);
+      current = { nodes: [], start: i + 1 };
+      i++;
+      continue;
+    } else if (ch === '\\') {
+      parsed = parseEscape(source, i);
+    } else if (ch === '[') {
+      parsed = parseClass(source, i);
+    } else if (ch === '(') {
+      const prefix = /^\(\?(?:[:=!]|<[=!]|<[^>]*>)?/.exec(source.slice(i));
+      const open = prefix ? prefix[0] : '(';
+      const inner = parseAlternatives(source, i + open.length);
+      const isLookaround = /^\(\?<?[=!]$/.test(open);
+      parsed = {
+        node: { kind: isLookaround ? 'assert' : 'group', alternatives: inner.alternatives },
+        end: inner.end + 1
+      };
+    } else if (ch === '^' || ch === '$') {
+      parsed = { node: { kind: 'assert' }, end: i + 1 };
+    } else {
+      parsed = { node: { kind: 'atom', first: ch === '.' ? '.' : ch }, end: i + 1 };
+    }
+
+    const node = parsed.node;
+    const nodeStart = i;
+    node.min = 1;
+    node.max = 1;
+    i = parsed.end;
+
+    const quantifier = parseQuantifier(source, i);
+    if (quantifier) {
+      node.min = quantifier.min;
+      node.max = quantifier.max;
+      i = quantifier.end;
+    }
+    node.text = source.slice(nodeStart, i);
+
+    current.nodes.push(node);
+  }
+
+  current.text = source.slice(current.start, i);
+  alternatives.push(current);
+  return { alternatives, end: i };
+}
+
+function canBeEmpty(node) {
+  if (node.kind === 'assert' || node.min === 0) return true;
+  if (node.kind === 'group') {
+    return node.alternatives.some(alt => alt.nodes.every(canBeEmpty));
+  }
+  return false;
+}
+
+function containsUnboundedRepeat(node) {
+  if (node.max === Infinity && node.min !== node.max) return true;
+  return node.kind === 'group' && node.alternatives.some(alt => alt.nodes.some(containsUnboundedRepeat));
+}
+
+function containsBackreference(node) {
+  if (node.kind === 'backref') return true;
+  return (node.alternatives || []).some(alt => alt.nodes.some(containsBackreference));
+}
+
+// Single-character regex sources that an alternative can start with
+function firstCharSources(alternative) {
+  for (const node of alternative.nodes) {
+    if (node.kind === 'assert') continue;
+    if (node.kind === 'atom') return [node.first];
+    if (node.kind === 'group') return node.alternatives.flatMap(firstCharSources);
+    return [];
+  }
+  return [];
+}
+
+function charSourcesOverlap(a, b, flags) {
+  if (a === b || a === '.' || b === '.') return true;
+
+  try {
+    const safeFlags = flags.replace(/[^iu]/g, '');
+    const regexA = new RegExp(`^(?:${a})$`, safeFlags);
+    const regexB = new RegExp(`^(?:${b})$`, safeFlags);
+    // Sample Latin, Greek and Cyrillic - enough to tell classes like \w and \d apart
+    for (let code = 0; code < 0x500; code++) {
+      const ch = String.fromCharCode(code);
+      if (regexA.test(ch) && regexB.test(ch)) return true;
+    }
+  } catch {
+    // Unparseable fragments are treated as not overlapping to avoid false rejections
+  }
+  return false;
+}
+
+function isSingleCharAlternative(alternative) {
+  return alternative.nodes.length === 1 &&
+    alternative.nodes[0].kind === 'atom' &&
+    alternative.nodes[0].max === 1;
+}
+
+function analyzeNode(node, flags, result) {
+  if (node.kind !== 'group') return;
+
+  if (node.max === Infinity) {
+    // Nested quantifiers: (a+)+, (\w+\s?)*
+    for (const alt of node.alternatives) {
+      const repeated = alt.nodes.find(containsUnboundedRepeat);
+      if (!repeated) continue;
+
+      const othersOptional = alt.nodes.every(n => n === repeated || canBeEmpty(n));
+      if (othersOptional) {
+        result.errors.push(`nested quantifier in "${node.text}" can cause catastrophic backtracking`);
+      } else {
+        result.warnings.push(`nested quantifier in "${node.text}" may backtrack heavily on long names`);
+      }
+      break;
+    }
+
+    // Overlapping alternation under a star: (a|a)*, (\w|\d)+
+    const alts = node.alternatives;
+    let overlapReported = false;
+    for (let x = 0; x < alts.length && !overlapReported; x++) {
+      for (let y = x + 1; y < alts.length && !overlapReported; y++) {
+        if (alts[x].text === alts[y].text) {
+          result.errors.push(`alternatives "${alts[x].text}" and "${alts[y].text}" in "${node.text}" are identical`);
+          overlapReported = true;
+          continue;
+        }
+
+        const overlaps = firstCharSources(alts[x]).some(a =>
+          firstCharSources(alts[y]).some(b => charSourcesOverlap(a, b, flags)));
+        if (!overlaps) continue;
+
+        if (isSingleCharAlternative(alts[x]) && isSingleCharAlternative(alts[y])) {
+          result.errors.push(`alternatives "${alts[x].text}" and "${alts[y].text}" in "${node.text}" match the same characters`);
+        } else {
+          result.warnings.push(`alternatives "${alts[x].text}" and "${alts[y].text}" in "${node.text}" can start with the same character`);
+        }
+        overlapReported = true;
+      }
+    }
+  }
+
+  for (const alt of node.alternatives) {
+    for (const child of alt.nodes) {
+      analyzeNode(child, flags, result);
+    }
+  }
+}
+
+/**
+ * Statically analyze a /regex/ pattern for constructs prone to catastrophic backtracking
+ * @param {string} patternStr - Raw pattern string
+ * @returns {Object} - { errors: string[], warnings: string[] }; errors mean the pattern is rejected
+ */
+export function analyzeRegexSafety(patternStr) {
+  const result = { errors: [], warnings: [] };
+
+  // Only /regex/ patterns are analyzed; text and wildcard patterns are generated safely
+  const lastSlash = patternStr.lastIndexOf('/');
+  if (!patternStr.startsWith('/') || patternStr.length <= 2 || lastSlash <= 0) {
+    return result;
+  }
+
+  const source = patternStr.slice(1, lastSlash);
+  const flags = patternStr.slice(lastSlash + 1);
+  const root = { kind: 'group', alternatives: parseAlternatives(source, 0).alternatives, min: 1, max: 1, text: source };
+
+  analyzeNode(root, flags, result);
+
+  if (containsBackreference(root)) {
+    result.warnings.push('backreferences can make matching slow');
+  }
+
+  return result;
+}
+
 /**
  * Validate pattern input to prevent malicious content
  * @param {string} pattern - Pattern to validate
@@ -101,31 +348,66 @@ export function validatePattern(pattern) {
     throw new Error(`Pattern validation failed: ${err.message}`);
   }
   
+  // Reject regexes that are known to backtrack catastrophically
+  const { errors } = analyzeRegexSafety(cleaned);
+  if (errors.length > 0) {
+    const err = new Error(`Dangerous regex rejected: ${errors.join('; ')}`);
+    err.code = 'DANGEROUS_REGEX';
+    throw err;
+  }
+  
   return cleaned;
 }
 
 /**
- * Test pattern matching with timeout protection
+ * Test pattern matching with timeout protection. The test runs in a worker
+ * thread that is terminated if it takes longer than the timeout.
  * @param {RegExp} regex - Compiled regex pattern
  * @param {string} testString - String to test against
  * @param {number} timeoutMs - Timeout in milliseconds (default: 100)
  * @returns {Promise<boolean>} - Whether the pattern matches
+ * @throws {Error} - With code 'PATTERN_TIMEOUT' if the regex ran too long
  */
-export function testPatternSafely(regex, testString, timeoutMs = 100) {
-  return new Promise((resolve, reject) => {
-    const timeout = setTimeout(() => {
-      reject(new Error('Pattern matching timeout'));
-    }, timeoutMs);
-    
-    try {
-      const result = regex.test(testString);
-      clearTimeout(timeout);
-      resolve(result);
-    } catch (err) {
-      clearTimeout(timeout);
-      reject(err);
+export async function testPatternSafely(regex, testString, timeoutMs = 100) {
+  const { patternIndex } = await runRegexBatch([regex], [testString], timeoutMs);
+  return patternIndex === 0;
+}
+
+/**
+ * Reduce a test string to the part patterns may be matched against
+ * @param {string} testString - Username or display name variation
+ * @returns {string|null} - Matchable text, or null if the string must never match
+ */
+export function getMatchableText(testString) {
+  // Return null for invalid inputs
+  if (!testString || typeof testString !== 'string') {
+    return null;
+  }
+  
+  // Ignore log-like sequences in brackets [TEXT]
+  if (/^\[.*\]$/.test(testString.trim())) {
+    return null;
+  }
+  
+  // Check for control characters
+  // eslint-disable-next-line no-control-regex
+  const hasControlChars = /[\x00-\x1F\x7F]/.test(testString);
+  
+  if (hasControlChars) {
+    // Only allow control chars if followed by log markers like [INFO], [DEBUG], etc.
+    // eslint-disable-next-line no-control-regex
+    if (/[\x00-\x1F\x7F]\s*\[(?:INFO|DEBUG|ERROR|WARN|LOG)\]/.test(testString)) {
+      // This looks like genuine log content - allow matching the part before control chars
+      // eslint-disable-next-line no-control-regex
+      const cleanPart = testString.split(/[\x00-\x1F\x7F]/)[0];
+      return cleanPart || null;
     }
-  });
+    
+    // Otherwise reject all strings with control characters
+    return null;
+  }
+  
+  return testString;
 }
 
 /**
@@ -136,32 +418,8 @@ export function testPatternSafely(regex, testString, timeoutMs = 100) {
  */
 export async function matchesPattern(pattern, testString) {
   try {
-    // Return false for invalid inputs
-    if (!testString || typeof testString !== 'string') {
-      return false;
-    }
-    
-    // Ignore log-like sequences in brackets [TEXT]
-    if (/^\[.*\]$/.test(testString.trim())) {
-      return false;
-    }
-    
-    // Check for control characters
-    // eslint-disable-next-line no-control-regex
-    const hasControlChars = /[\x00-\x1F\x7F]/.test(testString);
-    
-    if (hasControlChars) {
-      // Only allow control chars if followed by log markers like [INFO], [DEBUG], etc.
-      // eslint-disable-next-line no-control-regex
-      if (/[\x00-\x1F\x7F]\s*\[(?:INFO|DEBUG|ERROR|WARN|LOG)\]/.test(testString)) {
-        // This looks like genuine log content - allow matching the part before control chars
-        const regex = compileSafeRegex(pattern);
-        // eslint-disable-next-line no-control-regex
-        const cleanPart = testString.split(/[\x00-\x1F\x7F]/)[0];
-        return cleanPart && regex.test(cleanPart);
-      }
-      
-      // Otherwise reject all strings with control characters
+    const text = getMatchableText(testString);
+    if (text === null) {
       return false;
     }
     
@@ -169,31 +427,357 @@ export async function matchesPattern(pattern, testString) {
     const regex = compileSafeRegex(pattern);
     
     // Test with timeout protection
-    return await testPatternSafely(regex, testString);
+    return await testPatternSafely(regex, text);
   } catch (err) {
     console.warn(`Pattern matching error for "${pattern}": ${err.message}`);
     return false;
   }
 }
 
+// Characters that render as nothing (zero-width, joiners, bidi controls, fillers)
+// eslint-disable-next-line no-misleading-character-class
+const INVISIBLE_CHARS = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180B-\u180F\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u206F\u3164\uFE00-\uFE0F\uFEFF\uFFA0]/g;
+
+// Lookalike letters folded to their Latin equivalent. Fullwidth and mathematical
+// alphanumerics (𝐒, 𝔰, ｓ...) are already folded by NFKC before this map is applied.
+const CONFUSABLES = {
+  // Cyrillic
+  'А': 'a', 'а': 'a', 'В': 'b', 'в': 'b', 'С': 'c', 'с': 'c', 'Ԁ': 'd', 'ԁ': 'd',
+  'Е': 'e', 'е': 'e', 'Ё': 'e', 'ё': 'e', 'Н': 'h', 'н': 'h', 'Һ': 'h', 'һ': 'h',
+  'І': 'i', 'і': 'i', 'Ї': 'i', 'ї': 'i', 'Ј': 'j', 'ј': 'j', 'К': 'k', 'к': 'k',
+  'Ӏ': 'l', 'ӏ': 'l', 'М': 'm', 'м': 'm', 'О': 'o', 'о': 'o', 'Р': 'p', 'р': 'p',
+  'Ԛ': 'q', 'ԛ': 'q', 'Ѕ': 's', 'ѕ': 's', 'Т': 't', 'т': 't', 'У': 'y', 'у': 'y',
+  'Ү': 'y', 'ү': 'y', 'Ԝ': 'w', 'ԝ': 'w', 'Х': 'x', 'х': 'x', 'Ѵ': 'v', 'ѵ': 'v',
+  // Greek
+  'Α': 'a', 'α': 'a', 'Β': 'b', 'β': 'b', 'Ε': 'e', 'ε': 'e', 'Ζ': 'z', 'Η': 'h',
+  'Ι': 'i', 'ι': 'i', 'Κ': 'k', 'κ': 'k', 'Μ': 'm', 'Ν': 'n', 'ν': 'v', 'Ο': 'o',
+  'ο': 'o', 'Ρ': 'p', 'ρ': 'p', 'Τ': 't', 'τ': 't', 'Υ': 'y', 'υ': 'u', 'Χ': 'x',
+  'χ': 'x', 'ϲ': 'c', 'Ϲ': 'c', 'ϳ': 'j',
+  // Latin lookalikes and small capitals
+  'ı': 'i', 'ȷ': 'j', 'ɑ': 'a', 'ɡ': 'g', 'ɩ': 'i', 'ʟ': 'l', 'ɴ': 'n', 'ʀ': 'r',
+  'ᴀ': 'a', 'ʙ': 'b', 'ᴄ': 'c', 'ᴅ': 'd', 'ᴇ': 'e', 'ꜰ': 'f', 'ɢ': 'g', 'ʜ': 'h',
+  'ɪ': 'i', 'ᴊ': 'j', 'ᴋ': 'k', 'ᴍ': 'm', 'ᴏ': 'o', 'ᴘ': 'p', 'ꜱ': 's', 'ᴛ': 't',
+  'ᴜ': 'u', 'ᴠ': 'v', 'ᴡ': 'w', 'ʏ': 'y', 'ᴢ': 'z'
+};
+
+// Digits and symbols commonly used in place of letters
+const LEETSPEAK = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b',
+  '@': 'a', '$': 's', '!': 'i', '|': 'l'
+};
+
+/**
+ * Normalize a name so lookalike spellings compare equal to plain Latin text
+ * @param {string} input - Username or display name
+ * @param {Object} options - Normalization options
+ * @param {boolean} options.foldLeetspeak - Also fold digits/symbols like "5ol4na"
+ * @returns {string} - Lowercased, normalized string
+ */
+export function normalizeForMatching(input, { foldLeetspeak = false } = {}) {
+  if (!input || typeof input !== 'string') {
+    return '';
+  }
+
+  const foldConfusables = str => Array.from(str, ch => CONFUSABLES[ch] || ch).join('');
+
+  // Fold before NFKC too, since NFKC turns some lookalikes (lunate sigma "Ϲ") into other letters
+  let normalized = foldConfusables(input).normalize('NFKC').replace(INVISIBLE_CHARS, '');
+  normalized = foldConfusables(normalized).toLowerCase();
+
+  if (foldLeetspeak) {
+    normalized = Array.from(normalized, ch => LEETSPEAK[ch] || ch).join('');
+  }
+
+  return normalized;
+}
+
+/**
+ * Build every string a user's names are tested as, raw and normalized
+ * @param {string} username - Telegram username (without @)
+ * @param {string} firstName - First name
+ * @param {string} lastName - Last name
+ * @param {Object} options - Normalization options (see normalizeForMatching)
+ * @returns {Object[]} - Array of { field, label, value, tested }
+ */
+export function getNameVariations(username, firstName, lastName, options = {}) {
+  const { bio, ...normalizeOptions } = options;
+  const variations = [];
+
+  const add = (field, label, value) => {
+    if (!value) return;
+    const lowered = value.toLowerCase();
+    variations.push({ field, label, value, tested: lowered });
+
+    const normalized = normalizeForMatching(value, normalizeOptions);
+    if (normalized && normalized !== lowered) {
+      variations.push({ field, label: `${label} (normalized)`, value, tested: normalized });
+    }
+  };
+
+  add('username', 'Username', username);
+
+  const displayName = [firstName, lastName].filter(Boolean).join(' ');
+  if (displayName) {
+    add('displayName', 'Display name', displayName);
+    add('compactName', 'Without quotes', displayName.replace(/["'`]/g, ''));
+    add('compactName', 'Without spaces', displayName.replace(/\s+/g, ''));
+    add('compactName', 'Without quotes & spaces', displayName.replace(/["'`\s]/g, ''));
+  }
+
+  add('bio', 'Bio', bio);
+
+  return variations;
+}
+
+// Scope keywords accepted by --scope, mapped to the variation fields they cover
+export const PATTERN_SCOPES = {
+  username: ['username'],
+  display: ['displayName'],
+  compact: ['compactName'],
+  name: ['displayName', 'compactName'],
+  bio: ['bio'],
+  all: ['username', 'displayName', 'compactName', 'bio']
+};
+
+// Fields a pattern without a scope is tested against. The bio costs an extra API
+// call per user, so only patterns that ask for it look at it.
+export const DEFAULT_PATTERN_SCOPE = ['username', 'displayName', 'compactName'];
+
+const SCOPE_FIELD_LABELS = {
+  username: 'username',
+  displayName: 'display name',
+  compactName: 'compact name',
+  bio: 'bio'
+};
+
+/**
+ * Parse a comma-separated scope such as "username" or "name,bio"
+ * @param {string} input - Scope keywords (see PATTERN_SCOPES)
+ * @returns {string[]|null} - Variation fields, or null for the default scope
+ * @throws {Error} - If a keyword is unknown
+ */
+export function parsePatternScope(input) {
+  const fields = new Set();
+  for (const keyword of String(input).toLowerCase().split(/[\s,]+/).filter(Boolean)) {
+    if (!PATTERN_SCOPES[keyword]) {
+      throw new Error(`Unknown scope "${keyword}". Use ${Object.keys(PATTERN_SCOPES).join(', ')}`);
+    }
+    PATTERN_SCOPES[keyword].forEach(field => fields.add(field));
+  }
+  return normalizePatternScope([...fields]);
+}
+
+/**
+ * Reduce a stored scope to its canonical form
+ * @param {string[]} scope - Variation fields
+ * @returns {string[]|null} - Known fields in a fixed order, or null for the default scope
+ */
+export function normalizePatternScope(scope) {
+  if (!Array.isArray(scope)) return null;
+  const fields = Object.keys(SCOPE_FIELD_LABELS).filter(field => scope.includes(field));
+  const isDefault = fields.length === DEFAULT_PATTERN_SCOPE.length &&
+    DEFAULT_PATTERN_SCOPE.every(field => fields.includes(field));
+  return fields.length === 0 || isDefault ? null : fields;
+}
+
+/**
+ * Describe a pattern's scope for listings
+ * @param {string[]|null} scope - Variation fields, or null for the default scope
+ * @returns {string} - e.g. "username, bio"
+ */
+export function describePatternScope(scope) {
+  return (scope || DEFAULT_PATTERN_SCOPE).map(field => SCOPE_FIELD_LABELS[field]).join(', ');
+}
+
 /**
  * Create a safe regex object with metadata
  * @param {string} patternStr - Raw pattern string
- * @returns {Object} - Object with raw pattern and compiled regex
+ * @param {Object} metadata - Optional { note, scope, action, addedBy, addedAt, expiresAt, enabled, quarantined }
+ * @returns {Object} - Object with raw pattern, compiled regex, safety warnings and metadata
  */
-export function createPatternObject(rawPattern) {
+export function createPatternObject(rawPattern, metadata = {}) {
   const validated = validatePattern(rawPattern);
   const regex = compileSafeRegex(validated);
+  const { warnings } = analyzeRegexSafety(validated);
   return {
     raw: validated,
-    regex
+    type: getPatternType(validated),
+    regex,
+    warnings,
+    note: metadata.note || null,
+    scope: normalizePatternScope(metadata.scope),
+    action: metadata.action || null,
+    addedBy: metadata.addedBy || null,
+    addedAt: metadata.addedAt || null,
+    expiresAt: metadata.expiresAt || null,
+    enabled: metadata.enabled !== false,
+    quarantined: metadata.quarantined === true
   };
 }
 
+/**
+ * Detect which syntax a pattern uses (mirrors the branches of compileSafeRegex)
+ * @param {string} patternStr - Raw pattern string
+ * @returns {string} - 'regex', 'wildcard' or 'text'
+ */
+export function getPatternType(patternStr) {
+  if (patternStr.startsWith('/') && patternStr.length > 2 && patternStr.lastIndexOf('/') > 0) {
+    return 'regex';
+  }
+  if (patternStr.includes('*') || patternStr.includes('?')) {
+    return 'wildcard';
+  }
+  return 'text';
+}
+
+/**
+ * Build an Aho-Corasick automaton that finds every needle in a single pass
+ * @param {string[]} needles - Lowercased strings to search for
+ * @returns {Object} - Automaton nodes ({ next, fail, outputs })
+ */
+function buildTextAutomaton(needles) {
+  const nodes = [{ next: new Map(), fail: 0, outputs: [] }];
+
+  needles.forEach((needle, index) => {
+    let state = 0;
+    for (const ch of needle) {
+      if (!nodes[state].next.has(ch)) {
+        nodes.push({ next: new Map(), fail: 0, outputs: [] });
+        nodes[state].next.set(ch, nodes.length - 1);
+      }
+      state = nodes[state].next.get(ch);
+    }
+    nodes[state].outputs.push(index);
+  });
+
+  // Breadth-first pass to set failure links and merge outputs along them
+  const queue = [...nodes[0].next.values()];
+  while (queue.length > 0) {
+    const state = queue.shift();
+    for (const [ch, child] of nodes[state].next) {
+      let fail = nodes[state].fail;
+      while (fail !== 0 && !nodes[fail].next.has(ch)) {
+        fail = nodes[fail].fail;
+      }
+      const target = nodes[fail].next.get(ch);
+      nodes[child].fail = target !== undefined && target !== child ? target : 0;
+      nodes[child].outputs.push(...nodes[nodes[child].fail].outputs);
+      queue.push(child);
+    }
+  }
+
+  return nodes;
+}
+
+// Indices of every needle found in text
+function searchTextAutomaton(nodes, text) {
+  const found = new Set();
+  let state = 0;
+
+  for (const ch of text) {
+    while (state !== 0 && !nodes[state].next.has(ch)) {
+      state = nodes[state].fail;
+    }
+    state = nodes[state].next.get(ch) ?? 0;
+    for (const index of nodes[state].outputs) {
+      found.add(index);
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Precompile a list of pattern objects for repeated matching. Plain-text patterns
+ * share one Aho-Corasick automaton; wildcard and regex patterns keep their compiled
+ * regex and are run in the worker pool.
+ * @param {Object[]} patterns - Pattern objects from createPatternObject
+ * @returns {Object} - Matcher for findFirstMatch
+ */
+export function createPatternMatcher(patterns) {
+  const textIndices = [];
+  const needles = [];
+  const regexEntries = [];
+
+  patterns.forEach((pattern, index) => {
+    if ((pattern.type || getPatternType(pattern.raw)) === 'text') {
+      textIndices.push(index);
+      needles.push(pattern.raw.toLowerCase());
+    } else {
+      regexEntries.push({ index, regex: pattern.regex });
+    }
+  });
+
+  return {
+    patterns,
+    scopes: patterns.map(pattern => new Set(pattern.scope || DEFAULT_PATTERN_SCOPE)),
+    textIndices,
+    textAutomaton: buildTextAutomaton(needles),
+    regexEntries
+  };
+}
+
+/**
+ * Find the first pattern (in list order) that matches any of the inputs
+ * @param {Object} matcher - Matcher from createPatternMatcher
+ * @param {string[]} inputs - Lowercased strings to test
+ * @param {number} timeoutMs - Maximum time a single regex test may take (default: 100)
+ * @param {string[]} inputFields - Optional variation field of each input; patterns are
+ *   only tested against inputs in their scope (inputs without a field are always tested)
+ * @returns {Promise<Object|null>} - { patternIndex, inputIndex } or null if nothing matched
+ * @throws {Error} - With code 'PATTERN_TIMEOUT' and the offending patternIndex on timeout
+ */
+export async function findFirstMatch(matcher, inputs, timeoutMs = 100, inputFields = null) {
+  const inScope = (patternIndex, inputIndex) => {
+    const field = inputFields?.[inputIndex];
+    return !field || matcher.scopes[patternIndex].has(field);
+  };
+
+  // One pass per input over all plain-text patterns
+  let best = null;
+  inputs.forEach((input, inputIndex) => {
+    for (const needleIndex of searchTextAutomaton(matcher.textAutomaton, input)) {
+      const patternIndex = matcher.textIndices[needleIndex];
+      if ((!best || patternIndex < best.patternIndex) && inScope(patternIndex, inputIndex)) {
+        best = { patternIndex, inputIndex };
+      }
+    }
+  });
+
+  // Only regexes listed before the best text match can change the result
+  const candidates = [];
+  for (const entry of matcher.regexEntries) {
+    if (best && entry.index >= best.patternIndex) break;
+    const inputIndices = inputs.map((_, i) => i).filter(i => inScope(entry.index, i));
+    if (inputIndices.length > 0) {
+      candidates.push({ ...entry, inputIndices });
+    }
+  }
+
+  try {
+    const result = await runRegexBatch(
+      candidates.map(entry => ({ source: entry.regex.source, flags: entry.regex.flags, inputIndices: entry.inputIndices })),
+      inputs,
+      timeoutMs
+    );
+    if (result.patternIndex !== -1) {
+      return { patternIndex: candidates[result.patternIndex].index, inputIndex: result.inputIndex };
+    }
+  } catch (err) {
+    // Report the failing pattern by its position in the full list
+    if (err.patternIndex >= 0 && candidates[err.patternIndex]) {
+      err.patternIndex = candidates[err.patternIndex].index;
+    }
+    throw err;
+  }
+
+  return best;
+}
+
 /**
  * Batch validate and compile multiple patterns
- * @param {string[]} patterns - Array of pattern strings
- * @returns {Object[]} - Array of pattern objects
+ * @param {Array<string|Object>} patterns - Pattern strings, or entries with the raw pattern and its metadata ({ raw, note, scope, ... })
+ * @returns {Object} - { valid: Object[] pattern objects, errors: { index, pattern, error }[] }
  */
 export function validatePatterns(patterns) {
   if (!Array.isArray(patterns)) {
@@ -204,11 +788,12 @@ export function validatePatterns(patterns) {
   const errors = [];
   
   for (let i = 0; i < patterns.length; i++) {
+    const entry = typeof patterns[i] === 'string' ? { raw: patterns[i] } : patterns[i];
     try {
-      const patternObj = createPatternObject(patterns[i]);
+      const patternObj = createPatternObject(entry.raw, entry);
       validatedPatterns.push(patternObj);
     } catch (err) {
-      errors.push({ index: i, pattern: patterns[i], error: err.message });
+      errors.push({ index: i, pattern: entry.raw, error: err.message });
     }
   }
   
@@ -221,9 +806,19 @@ export function validatePatterns(patterns) {
 // Export all functions as a default object as well
 export default {
   compileSafeRegex,
+  analyzeRegexSafety,
   validatePattern,
   testPatternSafely,
+  getMatchableText,
   matchesPattern,
   createPatternObject,
-  validatePatterns
+  getPatternType,
+  createPatternMatcher,
+  findFirstMatch,
+  validatePatterns,
+  normalizeForMatching,
+  getNameVariations,
+  parsePatternScope,
+  normalizePatternScope,
+  describePatternScope
 };
\ No newline at end of file
@@ -0,0 +1,181 @@
+// storage.js
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parse, stringify } from 'smol-toml';
+
+let tempFileCounter = 0;
+
+/**
+ * Write a file through a temp file plus rename, so readers (and a restart after a
+ * crash mid-write) only ever see the old or the new content
+ * @param {string} filePath - Destination path
+ * @param {string} content - File content
+ */
+export async function writeFileAtomic(filePath, content) {
+  const tmpPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${++tempFileCounter}.tmp`
+  );
+
+  const handle = await fs.open(tmpPath, 'w');
+  try {
+    await handle.writeFile(content, 'utf-8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.rename(tmpPath, filePath);
+  } catch (err) {
+    await fs.unlink(tmpPath).catch(() => {});
+    throw err;
+  }
+}
+
+// Pattern metadata fields: in-memory name -> TOML key
+const DATE_FIELDS = { addedAt: 'added_at', expiresAt: 'expires_at' };
+
+// One pattern object as a TOML table
+function toPatternEntry(p) {
+  const entry = { pattern: p.raw, enabled: p.enabled !== false };
+  if (p.note) entry.note = p.note;
+  if (p.scope) entry.scope = [...p.scope];
+  if (p.action) entry.action = p.action;
+  if (p.addedBy) entry.added_by = p.addedBy;
+  for (const [field, key] of Object.entries(DATE_FIELDS)) {
+    if (p[field]) entry[key] = new Date(p[field]);
+  }
+  if (p.quarantined) entry.quarantined = true;
+  return entry;
+}
+
+// One TOML table as a plain pattern entry, or null if it has no pattern
+function fromPatternEntry(item) {
+  if (!item || typeof item.pattern !== 'string') return null;
+
+  const entry = {
+    raw: item.pattern,
+    enabled: item.enabled !== false,
+    quarantined: item.quarantined === true
+  };
+  if (typeof item.note === 'string' && item.note) entry.note = item.note;
+  if (Array.isArray(item.scope)) entry.scope = item.scope.filter(field => typeof field === 'string');
+  if (typeof item.action === 'string' && item.action) entry.action = item.action;
+  if (typeof item.added_by === 'number') entry.addedBy = item.added_by;
+  for (const [field, key] of Object.entries(DATE_FIELDS)) {
+    const date = item[key] instanceof Date ? item[key] : (item[key] ? new Date(item[key]) : null);
+    if (date && !isNaN(date.getTime())) entry[field] = date.toISOString();
+  }
+  return entry;
+}
+
+/**
+ * Serialize a group's patterns to TOML, one [[patterns]] table per block pattern and
+ * one [[exceptions]] table per exception pattern. The JSON format uses the same keys.
+ * @param {Object[]} patterns - Pattern objects ({ raw, note, scope, action, addedBy, addedAt, expiresAt, enabled, quarantined })
+ * @param {Object[]} exceptions - Exception pattern objects, same shape (default: none)
+ * @param {string} format - 'toml' (default) or 'json'
+ * @returns {string} - TOML or JSON document
+ */
+export function serializePatternFile(patterns, exceptions = [], format = 'toml') {
+  const document = { patterns: patterns.map(toPatternEntry) };
+  if (exceptions.length > 0) {
+    document.exceptions = exceptions.map(toPatternEntry);
+  }
+  if (format === 'json') {
+    return `${JSON.stringify(document, null, 2)}\n`;
+  }
+  return `${stringify(document)}\n`;
+}
+
+/**
+ * Parse a pattern file. Accepts both the current [[patterns]] tables and the
+ * older `patterns = ["..."]` string list (with its separate `quarantined` list).
+ * @param {string} content - TOML or JSON document
+ * @param {string} format - 'toml' (default) or 'json'
+ * @returns {Object} - { patterns: Object[], exceptions: Object[] } with { raw, note, scope, action, addedBy, addedAt, expiresAt, enabled, quarantined }
+ * @throws {Error} - If the document is not valid TOML or JSON
+ */
+export function parsePatternFile(content, format = 'toml') {
+  const parsed = format === 'json' ? JSON.parse(content) : parse(content);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Expected a document with a "patterns" list');
+  }
+  const legacyQuarantined = new Set(Array.isArray(parsed.quarantined) ? parsed.quarantined : []);
+  const patterns = [];
+
+  for (const item of Array.isArray(parsed.patterns) ? parsed.patterns : []) {
+    if (typeof item === 'string') {
+      patterns.push({ raw: item, enabled: true, quarantined: legacyQuarantined.has(item) });
+      continue;
+    }
+    const entry = fromPatternEntry(item);
+    if (entry) patterns.push(entry);
+  }
+
+  const exceptions = (Array.isArray(parsed.exceptions) ? parsed.exceptions : [])
+    .map(fromPatternEntry)
+    .filter(Boolean);
+
+  return { patterns, exceptions };
+}
+
+/**
+ * Append one entry to a JSON Lines log. Entries are only ever appended, never rewritten.
+ * @param {string} filePath - Log file path (created if missing)
+ * @param {Object} entry - JSON-serializable entry
+ */
+export async function appendJsonLine(filePath, entry) {
+  await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`, 'utf-8');
+}
+
+/**
+ * Read a JSON Lines log. Lines that are not valid JSON (e.g. a write cut short by a crash)
+ * are skipped.
+ * @param {string} filePath - Log file path
+ * @returns {Promise<Object[]>} - Entries in file order (empty if the file does not exist)
+ */
+export async function readJsonLines(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const entries = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Partial line from an interrupted append
+    }
+  }
+  return entries;
+}
+
+/**
+ * Compare two parsed pattern files. Exceptions are reported with an "exception: " prefix.
+ * @param {Object} before - { patterns, exceptions } as returned by parsePatternFile
+ * @param {Object} after - Same shape
+ * @returns {Object} - { added: string[], removed: string[], changed: string[] } of raw patterns
+ */
+export function diffPatternSets(before, after) {
+  const diff = { added: [], removed: [], changed: [] };
+  for (const [kind, prefix] of [['patterns', ''], ['exceptions', 'exception: ']]) {
+    const oldEntries = new Map(before[kind].map(entry => [entry.raw, JSON.stringify(entry)]));
+    const newEntries = new Map(after[kind].map(entry => [entry.raw, JSON.stringify(entry)]));
+    for (const [raw, entry] of newEntries) {
+      if (!oldEntries.has(raw)) diff.added.push(`${prefix}${raw}`);
+      else if (oldEntries.get(raw) !== entry) diff.changed.push(`${prefix}${raw}`);
+    }
+    for (const raw of oldEntries.keys()) {
+      if (!newEntries.has(raw)) diff.removed.push(`${prefix}${raw}`);
+    }
+  }
+  return diff;
+}
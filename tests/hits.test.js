@@ -2,7 +2,7 @@ import { test } from 'uvu';
 import * as assert from 'uvu/assert';
 
 // Suppose you export incrementHitCounter/getHitStatsForGroup from bot.js or a helpers file
-import { incrementHitCounter, getHitStatsForGroup } from '../bot.js';
+import { incrementHitCounter, getHitStatsForGroup, recordFalsePositive, getFalsePositiveCount } from '../bot.js';
 
 test('incrementHitCounter and getHitStatsForGroup', () => {
   incrementHitCounter(123, 'abc');
@@ -15,4 +15,25 @@ test('incrementHitCounter and getHitStatsForGroup', () => {
   ]);
 });
 
+test('Hit stats can be limited to a time window', () => {
+  const day = 24 * 60 * 60 * 1000;
+  incrementHitCounter(789, 'recent');
+  incrementHitCounter(789, 'recent', Date.now() - 2 * day);
+  incrementHitCounter(789, 'old', Date.now() - 10 * day);
+  assert.equal(getHitStatsForGroup(789, 5, day), [{ pattern: 'recent', count: 1 }]);
+  assert.equal(getHitStatsForGroup(789, 5, 7 * day), [{ pattern: 'recent', count: 2 }]);
+  assert.equal(getHitStatsForGroup(789), [
+    { pattern: 'recent', count: 2 },
+    { pattern: 'old', count: 1 }
+  ]);
+});
+
+test('False positives are counted separately from hits', () => {
+  incrementHitCounter(456, 'xyz');
+  recordFalsePositive(456, 'xyz');
+  assert.is(getFalsePositiveCount(456, 'xyz'), 1);
+  assert.is(getFalsePositiveCount(456, 'other'), 0);
+  assert.equal(getHitStatsForGroup(456), [{ pattern: 'xyz', count: 1 }]);
+});
+
 test.run();
@@ -0,0 +1,69 @@
+// tests/matcher.test.js
+
+import { test } from 'uvu';
+import * as assert from 'uvu/assert';
+
+import { createPatternObject, createPatternMatcher, findFirstMatch, parsePatternScope } from '../security.js';
+
+const matcherFor = (...raws) => createPatternMatcher(raws.map(raw => createPatternObject(raw)));
+
+test('Text patterns are found by substring in any input', async () => {
+  const matcher = matcherFor('spam', 'Max Power', 'crypto');
+  assert.equal(await findFirstMatch(matcher, ['alice', 'supermax power']), { patternIndex: 1, inputIndex: 1 });
+  assert.equal(await findFirstMatch(matcher, ['cryptospam']), { patternIndex: 0, inputIndex: 0 });
+  assert.is(await findFirstMatch(matcher, ['alice', 'bob']), null);
+});
+
+test('Overlapping text patterns share one automaton', async () => {
+  const matcher = matcherFor('she', 'he', 'hers');
+  assert.equal(await findFirstMatch(matcher, ['ushers']), { patternIndex: 0, inputIndex: 0 });
+  assert.equal(await findFirstMatch(matcher, ['hers']), { patternIndex: 1, inputIndex: 0 });
+});
+
+test('The first pattern in list order wins across text and regex patterns', async () => {
+  const matcher = matcherFor('*bot', 'testbot', '/^test/');
+  assert.equal(await findFirstMatch(matcher, ['testbot']), { patternIndex: 0, inputIndex: 0 });
+
+  const textFirst = matcherFor('testbot', '*bot');
+  assert.equal(await findFirstMatch(textFirst, ['testbot']), { patternIndex: 0, inputIndex: 0 });
+});
+
+test('Timeouts report the pattern index in the full list', async () => {
+  const slow = createPatternObject('*a');
+  slow.regex = /(a+)+$/;
+  const matcher = createPatternMatcher([createPatternObject('spam'), slow]);
+  try {
+    await findFirstMatch(matcher, ['a'.repeat(40) + 'b']);
+    assert.unreachable('Should time out');
+  } catch (e) {
+    assert.is(e.code, 'PATTERN_TIMEOUT');
+    assert.is(e.patternIndex, 1);
+  }
+});
+
+test('Scoped patterns only match inputs from their fields', async () => {
+  const matcher = createPatternMatcher([
+    createPatternObject('*bot', { scope: ['username'] }),
+    createPatternObject('casino', { scope: ['bio'] }),
+    createPatternObject('spam')
+  ]);
+  const fields = ['username', 'displayName', 'bio'];
+
+  assert.is(await findFirstMatch(matcher, ['alice', 'robot', 'hello'], 100, fields), null);
+  assert.equal(await findFirstMatch(matcher, ['testbot', 'robot', 'hello'], 100, fields), { patternIndex: 0, inputIndex: 0 });
+  assert.equal(await findFirstMatch(matcher, ['alice', 'casino fan', 'casino'], 100, fields), { patternIndex: 1, inputIndex: 2 });
+  // Unscoped patterns skip the bio
+  assert.is(await findFirstMatch(matcher, ['alice', 'bob', 'spam'], 100, fields), null);
+  // Inputs without a field are tested against every pattern
+  assert.equal(await findFirstMatch(matcher, ['casino']), { patternIndex: 1, inputIndex: 0 });
+});
+
+test('Scope keywords parse to variation fields', () => {
+  assert.equal(parsePatternScope('username'), ['username']);
+  assert.equal(parsePatternScope('name,bio'), ['displayName', 'compactName', 'bio']);
+  assert.is(parsePatternScope('username,name'), null);
+  assert.equal(parsePatternScope('all'), ['username', 'displayName', 'compactName', 'bio']);
+  assert.throws(() => parsePatternScope('email'), /Unknown scope/);
+});
+
+test.run();
@@ -0,0 +1,41 @@
+// tests/normalize.test.js
+
+import { test } from 'uvu';
+import * as assert from 'uvu/assert';
+
+import { normalizeForMatching, getNameVariations, createPatternObject, matchesPattern } from '../security.js';
+
+test('Cyrillic and Greek lookalikes fold to Latin', () => {
+  assert.is(normalizeForMatching('Ѕоlаnа'), 'solana');
+  assert.is(normalizeForMatching('ΒΙΤϹΟΙΝ'), 'bitcoin');
+});
+
+test('Fullwidth and mathematical alphanumerics fold via NFKC', () => {
+  assert.is(normalizeForMatching('ｓｏｌａｎａ'), 'solana');
+  assert.is(normalizeForMatching('𝐒𝐨𝐥𝐚𝐧𝐚'), 'solana');
+});
+
+test('Invisible characters are removed', () => {
+  assert.is(normalizeForMatching('sol\u200Dana\u200B'), 'solana');
+  assert.is(normalizeForMatching('\uFEFFsol\u2060ana'), 'solana');
+});
+
+test('Leetspeak folding is optional', () => {
+  assert.is(normalizeForMatching('5ol4na'), '5ol4na');
+  assert.is(normalizeForMatching('5ol4na', { foldLeetspeak: true }), 'solana');
+});
+
+test('Name variations include normalized forms only when they differ', async () => {
+  const plain = getNameVariations('solana_spin', null, null);
+  assert.is(plain.length, 1);
+
+  const variations = getNameVariations(null, 'Ѕоl', 'Аnа');
+  const pt = createPatternObject('solana');
+  const matched = [];
+  for (const variation of variations) {
+    if (await matchesPattern(pt.raw, variation.tested)) matched.push(variation.label);
+  }
+  assert.equal(matched, ['Without spaces (normalized)', 'Without quotes & spaces (normalized)']);
+});
+
+test.run();
@@ -4,7 +4,7 @@ import { test } from 'uvu';
 import * as assert from 'uvu/assert';
 
 // Import the helpers (adapt import path as needed)
-import { createPatternObject, matchesPattern } from '../security.js';
+import { createPatternObject, matchesPattern, testPatternSafely } from '../security.js';
 
 test('Simple text pattern matches exact and case-insensitive', async () => {
   const pt = createPatternObject('max power');
@@ -57,6 +57,24 @@ test('Rejects dangerous regex patterns (re DoS, log pollution)', async () => {
   }
 });
 
+test('Static analysis rejects nested quantifiers and overlapping alternation', () => {
+  for (const dangerous of ['/(a*)*/', '/(\\w+\\s?)*$/', '/(a|a)*/', '/(\\w|\\d)+/']) {
+    try {
+      createPatternObject(dangerous);
+      assert.unreachable(`Should reject ${dangerous}`);
+    } catch (e) {
+      assert.is(e.code, 'DANGEROUS_REGEX', dangerous);
+    }
+  }
+});
+
+test('Static analysis accepts risky-but-bounded regexes with warnings', () => {
+  assert.equal(createPatternObject('/^spam.*$/i').warnings, []);
+  assert.equal(createPatternObject('/\\d{5,}/').warnings, []);
+  assert.is(createPatternObject('/(\\d+\\.)+/').warnings.length, 1);
+  assert.match(createPatternObject('/(x)\\1/').warnings[0], /backreference/);
+});
+
 test('No match with special log/control characters in input or pattern', async () => {
   const pt = createPatternObject('testuser');
   assert.not(await matchesPattern(pt.raw, 'testuser\ninjection'));
@@ -84,4 +102,18 @@ test('Ignores log-like sequences and unusual Unicode in name', async () => {
   assert.ok(await matchesPattern(pt.raw, 'solana spin\n[INFO] User logged in'));
 });
 
+test('Catastrophic backtracking is terminated by the timeout', async () => {
+  const started = Date.now();
+  try {
+    await testPatternSafely(/(a+)+$/, 'a'.repeat(40) + 'b', 100);
+    assert.unreachable('Should time out');
+  } catch (e) {
+    assert.is(e.code, 'PATTERN_TIMEOUT');
+    assert.is(e.patternIndex, 0);
+  }
+  assert.ok(Date.now() - started < 1000);
+  // The pool keeps working after a worker was terminated
+  assert.ok(await testPatternSafely(/power/i, 'superPOWER'));
+});
+
 test.run();
@@ -0,0 +1,133 @@
+// tests/storage.test.js
+
+import { test } from 'uvu';
+import * as assert from 'uvu/assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { createPatternObject, validatePatterns } from '../security.js';
+import { serializePatternFile, parsePatternFile, writeFileAtomic, appendJsonLine, readJsonLines, diffPatternSets } from '../storage.js';
+
+const trickyPatterns = [
+  '/\\d{5,}/',
+  'say "hi"',
+  'back\\slash',
+  'trailing\\',
+  '/"quoted"\\s+name/i',
+  "it's",
+  '"""',
+  '*crypto*',
+  'Ѕоlаnа ✨',
+  '#not a comment'
+];
+
+test('Tricky patterns survive a save/load round trip', () => {
+  const patterns = trickyPatterns.map(raw => createPatternObject(raw));
+  const parsed = parsePatternFile(serializePatternFile(patterns));
+  assert.equal(parsed.patterns.map(p => p.raw), trickyPatterns);
+  assert.ok(parsed.patterns.every(p => p.enabled && !p.quarantined));
+});
+
+test('Pattern metadata round trips', () => {
+  const pattern = createPatternObject('*casino*', {
+    note: 'scam wave "Oct" 2026',
+    scope: ['username', 'bio'],
+    action: 'warn mute 1h',
+    addedBy: 123456789,
+    addedAt: '2026-10-19T09:30:00.000Z',
+    expiresAt: '2026-11-18T09:30:00.000Z',
+    enabled: false,
+    quarantined: true
+  });
+  const [parsed] = parsePatternFile(serializePatternFile([pattern])).patterns;
+  assert.equal(parsed, {
+    raw: '*casino*',
+    enabled: false,
+    quarantined: true,
+    note: 'scam wave "Oct" 2026',
+    scope: ['username', 'bio'],
+    action: 'warn mute 1h',
+    addedBy: 123456789,
+    addedAt: '2026-10-19T09:30:00.000Z',
+    expiresAt: '2026-11-18T09:30:00.000Z'
+  });
+});
+
+test('Exception patterns are stored separately from block patterns', () => {
+  const content = serializePatternFile(
+    [createPatternObject('*admin*')],
+    [createPatternObject('/^realadmin_support$/', { scope: ['username'] })]
+  );
+  const parsed = parsePatternFile(content);
+  assert.equal(parsed.patterns.map(p => p.raw), ['*admin*']);
+  assert.equal(parsed.exceptions, [
+    { raw: '/^realadmin_support$/', enabled: true, quarantined: false, scope: ['username'] }
+  ]);
+  assert.equal(parsePatternFile(serializePatternFile([createPatternObject('spam')])).exceptions, []);
+});
+
+test('Legacy hand-written files still parse', () => {
+  const parsed = parsePatternFile(`patterns = [\n  "spam",\n  "*bot*"\n]\nquarantined = ["*bot*"]\n`);
+  assert.equal(parsed.patterns, [
+    { raw: 'spam', enabled: true, quarantined: false },
+    { raw: '*bot*', enabled: true, quarantined: true }
+  ]);
+});
+
+test('writeFileAtomic replaces the file and leaves no temp files', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'namebanbot-'));
+  const filePath = path.join(dir, 'patterns_1.toml');
+  await writeFileAtomic(filePath, 'old');
+  await writeFileAtomic(filePath, 'new');
+  assert.is(await fs.readFile(filePath, 'utf-8'), 'new');
+  assert.equal(await fs.readdir(dir), ['patterns_1.toml']);
+  await fs.rm(dir, { recursive: true });
+});
+
+test('JSON Lines logs append entries and skip broken lines', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'namebanbot-'));
+  const filePath = path.join(dir, 'audit_log.jsonl');
+  assert.equal(await readJsonLines(filePath), []);
+  await appendJsonLine(filePath, { change: 'add filter', after: 'spam' });
+  await fs.appendFile(filePath, '{"change": "remo');
+  await fs.appendFile(filePath, '\n');
+  await appendJsonLine(filePath, { change: 'set action', before: 'kick', after: 'ban' });
+  assert.equal(await readJsonLines(filePath), [
+    { change: 'add filter', after: 'spam' },
+    { change: 'set action', before: 'kick', after: 'ban' }
+  ]);
+  await fs.rm(dir, { recursive: true });
+});
+
+test('JSON pattern files round trip and validate with their metadata', () => {
+  const patterns = [createPatternObject('*casino*', { note: 'scam wave', scope: ['username'], action: 'ban 7d' })];
+  const content = serializePatternFile(patterns, [], 'json');
+  assert.equal(JSON.parse(content).patterns[0].pattern, '*casino*');
+
+  const parsed = parsePatternFile(content, 'json');
+  const { valid, errors } = validatePatterns([...parsed.patterns, { raw: '/(a+)+$/' }, 'spam']);
+  assert.equal(valid.map(p => [p.raw, p.note, p.action]), [['*casino*', 'scam wave', 'ban 7d'], ['spam', null, null]]);
+  assert.equal(valid[0].scope, ['username']);
+  assert.is(errors.length, 1);
+  assert.is(errors[0].pattern, '/(a+)+$/');
+  assert.throws(() => parsePatternFile('["spam"]', 'json'));
+});
+
+test('Pattern set diffs list added, removed and changed patterns', () => {
+  const before = parsePatternFile(serializePatternFile(
+    [createPatternObject('spam'), createPatternObject('*casino*')],
+    [createPatternObject('realadmin')]
+  ));
+  const after = parsePatternFile(serializePatternFile(
+    [createPatternObject('spam', { enabled: false }), createPatternObject('*bot*')]
+  ));
+  assert.equal(diffPatternSets(before, after), {
+    added: ['*bot*'],
+    removed: ['*casino*', 'exception: realadmin'],
+    changed: ['spam']
+  });
+  assert.equal(diffPatternSets(after, after), { added: [], removed: [], changed: [] });
+});
+
+test.run();